@@ -0,0 +1,4 @@
+// Only used by Jest, webpack bundles the ES modules on its own
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+}
@@ -3,15 +3,28 @@
  * @copyright 2025 Leandro Menezes
  * @license MIT
  */
+import { resolveAuth, buildAuthHeaders } from '../lib/auth'
+import { resolveQuietHours, isQuietTime } from '../lib/quietHours'
+
+// Hold time for a long press, and how long to wait for a second press
+const LONG_PRESS_DELAY = 600
+const DOUBLE_PRESS_DELAY = 300
+
 export default class Action {
   constructor (uuid, streamDeck, context, settings) {
     this.streamDeck = streamDeck
-    this.websocket = this.streamDeck.websocket
     this._context = context
     this._settings = settings
     this.destinationEnum = Object.freeze({ HARDWARE_AND_SOFTWARE: 0, HARDWARE_ONLY: 1, SOFTWARE_ONLY: 2 })
     this._uuid = uuid
     this.lastKey = {}
+    this.gesture = { longPressTimer: null, pressTimer: null, longPressed: false }
+    this.quietHoursActive = false
+  }
+
+  // Always resolve through StreamDeck so a reconnected socket is picked up
+  get websocket () {
+    return this.streamDeck.websocket
   }
 
   get context () {
@@ -50,6 +63,24 @@ export default class Action {
 
   onKeyDown (context, settings, coordinates, desiredState, state) {}
 
+  onTitleParametersDidChange (context, payload) {}
+
+  onPropertyInspectorDidAppear (context) {}
+
+  onPropertyInspectorDidDisappear (context) {}
+
+  // Plugin-wide events, delivered to every active action
+
+  onDeviceDidConnect (device, deviceInfo) {}
+
+  onDeviceDidDisconnect (device) {}
+
+  onSystemDidWakeUp () {}
+
+  onApplicationDidLaunch (application) {}
+
+  onQuietHoursChange (context, active) {}
+
   onDoublePress (callback, type = 'keyUp') {
     const delay = 500
     const now = Date.now()
@@ -59,58 +90,194 @@ export default class Action {
     if (Object.prototype.hasOwnProperty.call(this.lastKey, type) && ((this.lastKey[type] - previousKey) < delay)) callback()
   }
 
-  setState (context, state) {
-    if (this.websocket) {
-      const json = {
-        event: 'setState',
-        context: context,
-        payload: {
-          state: state
-        }
+  /**
+   * Gesture tracking for keyDown. A long press fires while the key is still held.
+   * @param {function} onGesture - Called with 'press', 'doublePress' or 'longPress'
+   * @param {boolean} detectLongPress - Whether holding the key is a gesture of its
+   *   own, otherwise a slow press is still a press
+   */
+  trackGestureKeyDown (onGesture, detectLongPress = true) {
+    clearTimeout(this.gesture.longPressTimer)
+    this.gesture.longPressTimer = null
+    this.gesture.longPressed = false
+
+    if (!detectLongPress) return
+
+    this.gesture.longPressTimer = setTimeout(() => {
+      this.gesture.longPressTimer = null
+      this.gesture.longPressed = true
+      // A long second press cancels the pending single press
+      clearTimeout(this.gesture.pressTimer)
+      this.gesture.pressTimer = null
+      onGesture('longPress')
+    }, LONG_PRESS_DELAY)
+  }
+
+  /**
+   * Gesture tracking for keyUp. Single presses are delayed to wait for a
+   * second one, unless double press is not in use.
+   * @param {function} onGesture - Called with 'press', 'doublePress' or 'longPress'
+   * @param {boolean} detectDoublePress - Whether to wait for a second press
+   */
+  trackGestureKeyUp (onGesture, detectDoublePress = true) {
+    clearTimeout(this.gesture.longPressTimer)
+    this.gesture.longPressTimer = null
+
+    if (this.gesture.longPressed) {
+      this.gesture.longPressed = false
+      return
+    }
+
+    if (this.gesture.pressTimer) {
+      clearTimeout(this.gesture.pressTimer)
+      this.gesture.pressTimer = null
+      onGesture('doublePress')
+      return
+    }
+
+    if (!detectDoublePress) {
+      onGesture('press')
+      return
+    }
+
+    this.gesture.pressTimer = setTimeout(() => {
+      this.gesture.pressTimer = null
+      onGesture('press')
+    }, DOUBLE_PRESS_DELAY)
+  }
+
+  cancelGesture () {
+    clearTimeout(this.gesture.longPressTimer)
+    clearTimeout(this.gesture.pressTimer)
+    this.gesture = { longPressTimer: null, pressTimer: null, longPressed: false }
+  }
+
+  /**
+   * Request options for webhook calls made through the shared HTTP client
+   * @param {object} settings - Button settings, defaults to the current ones
+   * @returns {object} { timeout, retries, headers }
+   */
+  getRequestOptions (settings = this._settings) {
+    const timeout = parseInt(settings.requestTimeout) || 10
+    const retries = parseInt(settings.requestRetries)
+    const auth = resolveAuth(settings, this.streamDeck.globalSettings)
+
+    return {
+      timeout: timeout * 1000,
+      retries: Number.isFinite(retries) ? retries : 2,
+      headers: buildAuthHeaders(auth)
+    }
+  }
+
+  /**
+   * Quiet hours state of this button right now
+   * @returns {object} { active, hideCount } where hideCount is only set during quiet hours
+   */
+  getQuietHours () {
+    const schedule = resolveQuietHours(this._settings, this.streamDeck.globalSettings)
+    const active = isQuietTime(schedule)
+    return { active, hideCount: active && schedule.hideCount }
+  }
+
+  /**
+   * Called on a timer by the plugin, notifies the action when quiet hours start or end
+   * @param {string} context - Button context
+   */
+  checkQuietHours (context) {
+    const active = this.getQuietHours().active
+    if (active === this.quietHoursActive) return
+
+    this.quietHoursActive = active
+    this.onQuietHoursChange(context, active)
+  }
+
+  /**
+   * Draw a small marker on an image to show its data could not be refreshed
+   * @param {string} imageDataUrl - Image to mark
+   * @returns {Promise<string>} Marked image as a data URL
+   */
+  markStale (imageDataUrl) {
+    return new Promise((resolve, reject) => {
+      const canvas = document.createElement('canvas')
+      const ctx = canvas.getContext('2d')
+      const size = 144 // Stream Deck button size
+
+      canvas.width = size
+      canvas.height = size
+
+      const img = new Image()
+      img.onload = () => {
+        ctx.drawImage(img, 0, 0, size, size)
+
+        // Amber dot in the top-left corner
+        ctx.beginPath()
+        ctx.arc(16, 16, 10, 0, Math.PI * 2)
+        ctx.fillStyle = '#ffb900'
+        ctx.fill()
+        ctx.lineWidth = 2
+        ctx.strokeStyle = '#000000'
+        ctx.stroke()
+
+        resolve(canvas.toDataURL('image/png'))
       }
+      img.onerror = reject
+      img.src = imageDataUrl
+    })
+  }
 
-      this.websocket.send(JSON.stringify(json))
+  setState (context, state) {
+    const json = {
+      event: 'setState',
+      context: context,
+      payload: {
+        state: state
+      }
     }
+
+    this.streamDeck.send(json)
   }
 
   setTitle (context, title) {
-    if (this.websocket) {
-      const json = {
-        event: 'setTitle',
-        context: context,
-        payload: {
-          title: title,
-          target: this.destinationEnum.HARDWARE_AND_SOFTWARE
-        }
+    const json = {
+      event: 'setTitle',
+      context: context,
+      payload: {
+        title: title,
+        target: this.destinationEnum.HARDWARE_AND_SOFTWARE
       }
-
-      this.websocket.send(JSON.stringify(json))
     }
+
+    this.streamDeck.send(json)
   }
 
   setImage (context, image) {
-    if (this.websocket) {
-      const json = {
-        event: 'setImage',
-        context: context,
-        payload: {
-          image: image,
-          target: 0
-        }
+    const json = {
+      event: 'setImage',
+      context: context,
+      payload: {
+        image: image,
+        target: 0
       }
-
-      this.websocket.send(JSON.stringify(json))
     }
+
+    this.streamDeck.send(json)
   }
 
   showAlert (uuid) {
-    if (this.websocket) {
-      const json = {
-        event: 'showAlert',
-        context: uuid
-      }
+    const json = {
+      event: 'showAlert',
+      context: uuid
+    }
 
-      this.websocket.send(JSON.stringify(json))
+    this.streamDeck.send(json)
+  }
+
+  showOk (uuid) {
+    const json = {
+      event: 'showOk',
+      context: uuid
     }
+
+    this.streamDeck.send(json)
   }
 }
@@ -4,18 +4,51 @@
  * @license MIT
  */
 import Action from './action'
+import { expandUrl } from '../lib/urlTemplate'
+import { getPresenceColor, drawPresence } from '../lib/presence'
+import { drawBadge, formatCount, getBadgeRegion } from '../lib/badge'
+import { pickBadgeColors, readableTextColor } from '../lib/color'
+import { normalizeMessage, sortNewestFirst, getMessageKey } from '../lib/messages'
+import { renderMessageBody } from '../lib/sanitize'
+
+// What each key gesture does unless configured otherwise
+const DEFAULT_GESTURE_ACTIONS = Object.freeze({
+  press: 'openMessages',
+  doublePress: 'none',
+  longPress: 'none'
+})
+
+// Border color when new messages arrive: more unread, or the same count with different messages
+const HIGHLIGHT_COLORS = Object.freeze({
+  countUp: '#ffb900',
+  replaced: '#6264a7'
+})
+
+// Border opacity per frame and time between frames for each highlight style
+const HIGHLIGHT_FRAMES = Object.freeze({
+  flash: { alphas: [1, 0], interval: 400 },
+  pulse: { alphas: [0.2, 0.45, 0.7, 1, 0.7, 0.45], interval: 120 }
+})
 
 export default class TeamsAvatar extends Action {
   constructor (uuid, streamDeck, context, settings) {
     super(uuid, streamDeck, context, settings)
 
-    this.interval = null
+    this.pollingKey = null // Data service subscription of this button's messages URL
     this.avatarImage = null // Base avatar image without count overlay
     this.messages = []
     this.unreadCount = 0
+    this.presence = null // Presence from the messages webhook, if it sends one
+    this.isStale = false // Last poll failed, showing the last good messages
     this._cacheVersion = 0
-    this.avatarCache = new Map() // Cache for base avatar images by user email
     this.lastDisplayedImageState = null // Track last displayed image state
+    this.hasBadgeTitle = false // Whether the key title currently shows the count
+    this.dismissedKeys = new Set() // Messages marked read from the key, hidden until they leave the webhook
+    this.snoozedUntil = 0 // Timestamp until which the unread count is hidden
+    this.snoozeTimer = null
+    this.seenKeys = null // Message keys from the previous poll, null until the first one
+    this.currentImage = null // Last composed key image, the base for highlight frames
+    this.highlight = null // Running new-message highlight
 
     // Note: Don't call saveSettings here - settings should only be saved
     // when explicitly changed by the user in the Property Inspector.
@@ -48,118 +81,530 @@ export default class TeamsAvatar extends Action {
     // Reset state tracking on appear
     this.lastDisplayedImageState = null
 
-    // Show loading image
-    const loadingImage = this.generateLoadingImage()
-    this.setImage(context, loadingImage)
-    this.lastDisplayedImageState = 'loading'
+    // Show the persisted avatar right away if we have one, otherwise a loading image
+    const stored = settings.userEmail ? this.streamDeck.avatarStore.get(this.getAvatarIdentity(settings.userEmail)) : null
+    if (stored) {
+      this.avatarImage = stored.image
+      this.setImage(context, stored.image)
+      this.lastDisplayedImageState = 'cached'
+    } else {
+      const loadingImage = this.generateLoadingImage()
+      this.setImage(context, loadingImage)
+      this.lastDisplayedImageState = 'loading'
+    }
 
     // Start fetching data
     this.startPolling(context)
   }
 
   onWillDisappear (context, settings) {
-    if (this.interval) {
-      clearInterval(this.interval)
-      this.interval = null
-    }
+    this.stopPolling(context)
+    this.streamDeck.messagesWindows.close(context)
+    this.stopHighlight()
+    this.cancelGesture()
+    clearTimeout(this.snoozeTimer)
   }
 
   onDidReceiveSettings (context, payload) {
     const settings = payload.settings || {}
     this.setSettings(settings)
-    // Clear cache when settings change
-    this.avatarCache.clear()
+    // The user may have changed, forget the current avatar (the persistent store keeps it)
+    this.avatarImage = null
     // Reset state tracking
     this.lastDisplayedImageState = null
     // Restart polling with new settings
-    if (this.interval) {
-      clearInterval(this.interval)
-    }
     this.startPolling(context)
   }
 
+  onKeyDown (context, settings, coordinates, desiredState, state) {
+    // Without a long press action, holding the key is just a slow press
+    const detectLongPress = this.getGestureAction('longPress') !== 'none'
+    this.trackGestureKeyDown((gesture) => this.onGesture(context, gesture), detectLongPress)
+  }
+
   onKeyUp (context, settings, coordinates, desiredState, state) {
-    if (settings === undefined) settings = this._settings
+    // Only hold back single presses when a double press has something to do
+    const detectDoublePress = this.getGestureAction('doublePress') !== 'none'
+    this.trackGestureKeyUp((gesture) => this.onGesture(context, gesture), detectDoublePress)
+  }
 
-    // Show modal with messages
-    this.showMessagesModal(context)
+  /**
+   * Action configured for a gesture in the Property Inspector
+   * @param {string} gesture - 'press', 'doublePress' or 'longPress'
+   * @returns {string} One of 'none', 'openMessages', 'openChat', 'refresh', 'markAllRead', 'snooze'
+   */
+  getGestureAction (gesture) {
+    return this.settings[`${gesture}Action`] || DEFAULT_GESTURE_ACTIONS[gesture]
   }
 
-  async startPolling (context) {
-    // Clear any existing interval
-    if (this.interval) {
-      clearInterval(this.interval)
+  onGesture (context, gesture) {
+    const action = this.getGestureAction(gesture)
+
+    switch (action) {
+      case 'openMessages':
+        this.showMessagesModal(context)
+        break
+      case 'openChat':
+        this.openChat(context)
+        break
+      case 'refresh':
+        this.forceRefresh(context).catch(error => this.onFetchError(context, error))
+        break
+      case 'markAllRead':
+        this.markAllRead(context).catch(error => this.onFetchError(context, error))
+        break
+      case 'snooze':
+        this.toggleSnooze(context).catch(error => this.onFetchError(context, error))
+        break
+    }
+  }
+
+  openChat (context) {
+    const email = this.settings.userEmail
+    if (!email) return
+
+    this.streamDeck.send({
+      event: 'openUrl',
+      payload: {
+        url: `https://teams.microsoft.com/l/chat/0/0?users=${encodeURIComponent(email)}`
+      }
+    })
+  }
+
+  async forceRefresh (context) {
+    if (!this.pollingKey) return
+
+    this.streamDeck.dataService.refresh(this.pollingKey)
+    await this.fetchAvatar(context, true)
+    this.lastDisplayedImageState = null
+    await this.updateDisplay(context)
+    this.showOk(context)
+  }
+
+  markAllRead (context) {
+    return this.markRead(context, this.messages)
+  }
+
+  /**
+   * Mark messages read. With an acknowledge webhook the count is dropped
+   * optimistically and the next poll has the final say, otherwise the
+   * messages are hidden locally until the webhook stops returning them.
+   * @param {string} context - Button context
+   * @param {object[]} messages - Messages to mark, as received from the webhook
+   * @returns {Promise<boolean>} false when the acknowledge webhook failed
+   */
+  async markRead (context, messages) {
+    if (messages.length === 0) return true
+
+    const acknowledgeUrl = this.settings.acknowledgeWebhookUrl
+    if (!acknowledgeUrl) {
+      for (const message of messages) {
+        this.dismissedKeys.add(getMessageKey(message))
+      }
     }
 
-    // Initial fetch
-    await this.fetchData(context)
+    const previousMessages = this.messages
+    const optimisticMessages = previousMessages.filter(message => !messages.includes(message))
+    this.messages = optimisticMessages
+    this.unreadCount = optimisticMessages.length
+    await this.updateDisplay(context)
+
+    if (!acknowledgeUrl) {
+      this.showOk(context)
+      return true
+    }
 
-    // Set up polling based on configured interval (default 30 seconds)
+    // The next poll has to reach us even if the webhook still returns the same messages
+    if (this.pollingKey) {
+      this.streamDeck.dataService.invalidate(this.pollingKey)
+    }
+
+    try {
+      await this.acknowledgeMessages(messages)
+      this.showOk(context)
+      return true
+    } catch (error) {
+      this.streamDeck.log(`Error acknowledging messages: ${error.message}`)
+      this.showAlert(context)
+
+      // Put the messages back, unless a poll has already replaced them
+      if (this.messages === optimisticMessages) {
+        this.messages = previousMessages
+        this.unreadCount = previousMessages.length
+        await this.updateDisplay(context)
+      }
+      return false
+    }
+  }
+
+  /**
+   * POST the IDs of messages the user has read to the acknowledge webhook
+   * @param {object[]} messages - Messages to acknowledge
+   */
+  async acknowledgeMessages (messages) {
+    const requestOptions = this.getRequestOptions()
+    const response = await this.streamDeck.http.request(this.settings.acknowledgeWebhookUrl, {
+      ...requestOptions,
+      method: 'POST',
+      headers: { ...requestOptions.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        user: this.settings.userEmail,
+        messageIds: messages.map(message => message.id).filter(id => id != null)
+      })
+    })
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+  }
+
+  /**
+   * Hide the unread count for the configured time, or end a running snooze.
+   * Polling carries on so the count is current when the snooze ends.
+   */
+  async toggleSnooze (context) {
+    clearTimeout(this.snoozeTimer)
+
+    if (this.isSnoozed()) {
+      this.snoozedUntil = 0
+    } else {
+      const minutes = parseInt(this.settings.snoozeMinutes) || 30
+      this.snoozedUntil = Date.now() + minutes * 60 * 1000
+      this.snoozeTimer = setTimeout(() => {
+        this.snoozedUntil = 0
+        this.updateDisplay(context).catch(error => this.onFetchError(context, error))
+      }, minutes * 60 * 1000)
+    }
+
+    await this.updateDisplay(context)
+    this.showOk(context)
+  }
+
+  isSnoozed () {
+    return Date.now() < this.snoozedUntil
+  }
+
+  async startPolling (context) {
+    // Drop any previous subscription, the URL may have changed
+    this.stopPolling(context)
+    this.seenKeys = null
+
+    const email = this.settings.userEmail
+    const avatarUrl = this.settings.avatarWebhookUrl
+    const messagesUrl = this.settings.messagesWebhookUrl
+
+    if (!email || !avatarUrl || !messagesUrl) {
+      const configImage = this.generateConfigRequiredImage()
+      this.setImageIfChanged(context, configImage, 'configRequired')
+      return
+    }
+
+    // Messages are polled through the shared data service so buttons
+    // watching the same user only cause one request per cycle
     const pollingInterval = (this.settings.pollingInterval || 30) * 1000
+    const pollingUrl = this.buildUserUrl(messagesUrl, email)
+    this.pollingKey = this.streamDeck.dataService.subscribe(pollingUrl, context, pollingInterval, {
+      onData: (messagesData) => this.onMessagesData(context, messagesData),
+      onStale: (error) => this.onStaleData(context, error),
+      onError: (error) => this.onFetchError(context, error)
+    }, this.getRequestOptions())
+
+    // The avatar is fetched once and cached, messages may arrive first
+    try {
+      await this.fetchAvatar(context)
+      await this.updateDisplay(context)
+    } catch (error) {
+      this.onFetchError(context, error)
+    }
+  }
+
+  /**
+   * Resolve a webhook URL template for a user, falling back to ?user=<email>
+   * @param {string} template - Webhook URL, may contain {email} and {size}
+   * @param {string} email - User email
+   * @returns {string} Resolved URL
+   */
+  buildUserUrl (template, email) {
+    return expandUrl(template, { email }, 'user', email)
+  }
 
-    this.interval = setInterval(async () => {
-      await this.fetchData(context)
-    }, pollingInterval)
+  stopPolling (context) {
+    if (this.pollingKey) {
+      this.streamDeck.dataService.unsubscribe(this.pollingKey, context)
+      this.pollingKey = null
+    }
   }
 
-  async fetchData (context) {
+  async fetchAvatar (context, revalidate = false) {
     try {
       const email = this.settings.userEmail
       const avatarUrl = this.settings.avatarWebhookUrl
-      const messagesUrl = this.settings.messagesWebhookUrl
 
-      if (!email || !avatarUrl || !messagesUrl) {
-        const configImage = this.generateConfigRequiredImage()
-        this.setImageIfChanged(context, configImage, 'configRequired')
-        return
-      }
+      const identity = this.getAvatarIdentity(email)
 
-      // Check cache first for avatar
-      if (this.avatarCache.has(email)) {
-        this.avatarImage = this.avatarCache.get(email)
-        this.streamDeck.log(`Using cached avatar for user ${email}`)
-      } else {
-        // Fetch avatar
-        const avatarResponse = await fetch(`${avatarUrl}?user=${encodeURIComponent(email)}`)
-
-        if (avatarResponse.ok) {
-          const avatarBlob = await avatarResponse.blob()
-          const avatarDataUrl = await this.blobToDataUrl(avatarBlob)
-          this.avatarImage = avatarDataUrl
-          // Cache the base avatar (without count overlay)
-          this.avatarCache.set(email, avatarDataUrl)
-          this.streamDeck.log(`Cached avatar for user ${email}`)
+      // Check the persistent cache first for avatar
+      const stored = this.streamDeck.avatarStore.get(identity)
+      if (stored) {
+        this.avatarImage = stored.image
+        if (stored.isFresh && !revalidate) {
+          this.streamDeck.log(`Using cached avatar for user ${email}`)
+          return
         }
       }
 
-      // Always fetch messages (they change frequently)
-      const messagesResponse = await fetch(`${messagesUrl}?user=${encodeURIComponent(email)}`)
+      // Fetch avatar, or just revalidate the expired one
+      const avatarResponse = await this.streamDeck.http.request(this.buildUserUrl(avatarUrl, email), {
+        ...this.getRequestOptions(),
+        conditional: Boolean(stored)
+      })
+
+      if (avatarResponse.status === 304 && stored) {
+        this.streamDeck.avatarStore.touch(identity)
+        this.streamDeck.log(`Cached avatar for user ${email} is still current`)
+      } else if (avatarResponse.ok) {
+        const avatarBlob = await avatarResponse.blob()
+        const avatarDataUrl = await this.blobToDataUrl(avatarBlob)
+        this.avatarImage = avatarDataUrl
+        // Cache the base avatar (without count overlay)
+        this.streamDeck.avatarStore.set(identity, avatarDataUrl)
+        this.streamDeck.log(`Cached avatar for user ${email}`)
+      }
+    } catch (error) {
+      // An expired cached avatar is still better than the error tile
+      if (!this.avatarImage) {
+        this.onFetchError(context, error)
+      }
+    }
+  }
+
+  getAvatarIdentity (email) {
+    return `email:${email.toLowerCase()}`
+  }
+
+  async onMessagesData (context, messagesData) {
+    // Either a plain array of messages, or { presence, messages: [...] }
+    const messages = Array.isArray(messagesData) ? messagesData : (messagesData && messagesData.messages)
+
+    // Copy, the data is shared with other buttons watching the same user
+    const allMessages = Array.isArray(messages) ? [...messages] : []
+
+    // Forget dismissed messages the webhook no longer returns, and hide the rest
+    const keys = new Set(allMessages.map(message => getMessageKey(message)))
+    for (const key of this.dismissedKeys) {
+      if (!keys.has(key)) this.dismissedKeys.delete(key)
+    }
+    this.messages = allMessages.filter(message => !this.dismissedKeys.has(getMessageKey(message)))
+    const previousCount = this.unreadCount
+    this.unreadCount = this.messages.length
+    this.presence = (messagesData && !Array.isArray(messagesData) && messagesData.presence) || null
+    this.isStale = false
+
+    // Diff against the previous poll, the very first one only sets the baseline
+    const visibleKeys = this.messages.map(message => getMessageKey(message))
+    const newCount = this.seenKeys ? visibleKeys.filter(key => !this.seenKeys.has(key)).length : 0
+    this.seenKeys = new Set(visibleKeys)
+
+    // Update display
+    try {
+      await this.updateDisplay(context)
+    } catch (error) {
+      // e.g. an avatar webhook answering with something that isn't an image
+      this.onFetchError(context, error)
+      return
+    }
+
+    if (newCount > 0) {
+      this.onNewMessages(context, this.unreadCount > previousCount ? 'countUp' : 'replaced')
+    }
+  }
+
+  /**
+   * React to messages that weren't there on the previous poll
+   * @param {string} context - Button context
+   * @param {string} reason - 'countUp' when there are more unread messages,
+   *   'replaced' when the count stayed the same (or dropped) but messages changed
+   */
+  onNewMessages (context, reason) {
+    this.streamDeck.log(`New messages for ${this.settings.userEmail} (${reason})`)
+
+    // Keep the key calm during quiet hours, the count still updates
+    if (this.getQuietHours().active) return
+
+    const alert = this.settings.newMessageAlert || 'none'
+    if (alert === 'any' || (alert === 'countUp' && reason === 'countUp')) {
+      this.showAlert(context)
+    }
 
-      // Handle messages
-      if (messagesResponse.ok) {
-        const messagesData = await messagesResponse.json()
-        this.messages = Array.isArray(messagesData) ? messagesData : []
-        this.unreadCount = this.messages.length
+    this.startHighlight(context, HIGHLIGHT_COLORS[reason])
+  }
+
+  /**
+   * Flash or pulse a colored border around the key for the configured time
+   * @param {string} context - Button context
+   * @param {string} color - Border color
+   */
+  startHighlight (context, color) {
+    const style = this.settings.newMessageHighlight || 'flash'
+    this.stopHighlight()
+    if (!HIGHLIGHT_FRAMES[style]) return
+
+    const seconds = parseInt(this.settings.highlightSeconds) || 5
+    const highlight = { color, style, endsAt: Date.now() + seconds * 1000, source: null, frames: [], frame: 0, timer: null }
+    this.highlight = highlight
+
+    const tick = async () => {
+      if (this.highlight !== highlight) return
+
+      if (Date.now() >= highlight.endsAt || !this.currentImage) {
+        this.stopHighlight()
+        this.lastDisplayedImageState = null // Force update
+        return this.updateDisplay(context)
       }
 
-      // Update display
+      // The key image may change mid-highlight (new count, stale marker), follow it
+      if (highlight.source !== this.currentImage) {
+        highlight.source = this.currentImage
+        highlight.frames = await this.createHighlightFrames(this.currentImage, color, HIGHLIGHT_FRAMES[style].alphas)
+        if (this.highlight !== highlight) return
+      }
+
+      this.setImage(context, highlight.frames[highlight.frame % highlight.frames.length])
+      highlight.frame++
+      highlight.timer = setTimeout(run, HIGHLIGHT_FRAMES[style].interval)
+    }
+
+    // Frames are drawn asynchronously, a failure ends the highlight on the error image
+    const run = () => tick().catch(error => {
+      if (this.highlight === highlight) this.stopHighlight()
+      this.onFetchError(context, error)
+    })
+
+    run()
+  }
+
+  onQuietHoursChange (context, active) {
+    if (active) this.stopHighlight()
+    this.lastDisplayedImageState = null // Force update
+    this.updateDisplay(context).catch(error => this.onFetchError(context, error))
+  }
+
+  stopHighlight () {
+    if (this.highlight) {
+      clearTimeout(this.highlight.timer)
+      this.highlight = null
+    }
+  }
+
+  async onStaleData (context, error) {
+    // Keep the last good messages on the key, just flag them as outdated
+    this.isStale = true
+    try {
       await this.updateDisplay(context)
     } catch (error) {
-      this.streamDeck.log(`Error fetching data: ${error.message}`)
-      const errorImage = this.generateErrorImage()
-      this.setImageIfChanged(context, errorImage, 'error')
+      this.onFetchError(context, error)
     }
   }
 
+  onFetchError (context, error) {
+    this.isStale = false
+    this.streamDeck.log(`Error fetching data: ${error.message}`)
+    const errorImage = this.generateErrorImage()
+    this.setImageIfChanged(context, errorImage, 'error')
+  }
+
   async updateDisplay (context) {
     const email = this.settings.userEmail
+    const snoozed = this.isSnoozed()
+    const quiet = this.getQuietHours().active
+    const count = this.getDisplayedCount()
     // Include unread count in state key so image updates when count changes
-    const stateKey = `avatar:${email}_${this.unreadCount}`
+    const stateKey = `avatar:${email}_${count}_${this.presence}${snoozed ? '_snoozed' : ''}${quiet ? '_quiet' : ''}${this.isStale ? '_stale' : ''}`
 
     // Set the avatar image with count overlay
     if (this.avatarImage) {
-      const imageWithCount = await this.overlayCountOnImage(this.avatarImage, this.unreadCount)
-      this.setImageIfChanged(context, imageWithCount, stateKey)
+      let imageWithCount = await this.overlayCountOnImage(this.avatarImage, count, { presence: this.presence, snoozed, muted: quiet })
+      if (this.isStale) {
+        imageWithCount = await this.markStale(imageWithCount)
+      }
+      this.currentImage = imageWithCount
+
+      if (this.highlight) {
+        // The highlight draws its frames from currentImage, don't interrupt it
+        this.lastDisplayedImageState = stateKey
+      } else {
+        this.setImageIfChanged(context, imageWithCount, stateKey)
+      }
+    }
+
+    this.updateBadgeTitle(context)
+    this.streamDeck.messagesWindows.update(context)
+  }
+
+  /**
+   * POST a reply to the reply webhook and briefly show a confirmation tile on the key
+   * @param {string} context - Button context
+   * @param {object} message - Message being replied to, as received from the webhook
+   * @param {string} text - Reply text
+   */
+  async sendReply (context, message, text) {
+    const replyUrl = this.settings.replyWebhookUrl
+    const reply = String(text || '').trim()
+
+    if (!replyUrl) {
+      throw new Error('No reply webhook configured')
+    }
+    if (!reply) {
+      throw new Error('The reply is empty')
+    }
+
+    const requestOptions = this.getRequestOptions()
+    try {
+      const response = await this.streamDeck.http.request(replyUrl, {
+        ...requestOptions,
+        // Don't risk sending the same reply twice
+        retries: 0,
+        method: 'POST',
+        headers: { ...requestOptions.headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chatId: message.chatId ?? null,
+          messageId: message.id ?? null,
+          text: reply
+        })
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+    } catch (error) {
+      this.streamDeck.log(`Error sending reply: ${error.message}`)
+      this.showAlert(context)
+      throw error
+    }
+
+    this.setImage(context, this.generateReplySentImage())
+    this.lastDisplayedImageState = 'replySent'
+    setTimeout(() => {
+      this.lastDisplayedImageState = null // Force update
+      this.updateDisplay(context).catch(error => this.onFetchError(context, error))
+    }, 2000)
+  }
+
+  getDisplayedCount () {
+    return this.isSnoozed() || this.getQuietHours().hideCount ? 0 : this.unreadCount
+  }
+
+  /**
+   * Show the count in the key title for the 'title' badge style. The title is
+   * otherwise left alone so a title set by the user in Stream Deck survives.
+   */
+  updateBadgeTitle (context) {
+    if (this.settings.badgeStyle === 'title') {
+      const count = this.getDisplayedCount()
+      this.setTitle(context, count > 0 ? formatCount(count) : '')
+      this.hasBadgeTitle = true
+    } else if (this.hasBadgeTitle) {
+      this.setTitle(context, '')
+      this.hasBadgeTitle = false
     }
   }
 
@@ -169,97 +614,58 @@ export default class TeamsAvatar extends Action {
       return
     }
 
-    // Create modal HTML
-    const modalHtml = this.createMessagesModalHtml()
+    // The window stays open and is updated on every poll
+    this.streamDeck.messagesWindows.open(context, this)
+  }
 
-    // Send command to show modal
-    if (this.websocket) {
-      const json = {
-        event: 'openUrl',
-        payload: {
-          url: `data:text/html;charset=utf-8,${encodeURIComponent(modalHtml)}`
-        }
-      }
-      this.websocket.send(JSON.stringify(json))
+  /**
+   * Data sent to the live messages window
+   * @returns {object} { user, isStale, messages } with normalized, sanitized messages, newest first
+   */
+  getMessagesPageState () {
+    const bodyFormat = this.settings.bodyFormat || 'plain'
+    const messages = this.messages.map(message => {
+      const normalized = normalizeMessage(message)
+      return { ...normalized, key: getMessageKey(message), bodyHtml: renderMessageBody(normalized.body, bodyFormat) }
+    })
+
+    return {
+      user: this.settings.userEmail,
+      isStale: this.isStale,
+      canReply: Boolean(this.settings.replyWebhookUrl),
+      cannedResponses: this.getCannedResponses(),
+      messages: sortNewestFirst(messages)
     }
   }
 
-  createMessagesModalHtml () {
-    const messagesHtml = this.messages.map(msg => `
-      <div class="message">
-        <div class="message-title">${this.escapeHtml(msg.title || 'No Title')}</div>
-        <div class="message-body">${this.escapeHtml(msg.body || 'No Content')}</div>
-      </div>
-    `).join('')
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Teams Messages</title>
-        <style>
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            margin: 0;
-            padding: 20px;
-            background: #f5f5f5;
-          }
-          .header {
-            text-align: center;
-            margin-bottom: 20px;
-            color: #333;
-          }
-          .messages-container {
-            max-height: 400px;
-            overflow-y: auto;
-          }
-          .message {
-            background: white;
-            border-radius: 8px;
-            padding: 15px;
-            margin-bottom: 10px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-          }
-          .message-title {
-            font-weight: bold;
-            margin-bottom: 8px;
-            color: #0078d4;
-          }
-          .message-body {
-            color: #333;
-            line-height: 1.4;
-          }
-          .close-btn {
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            background: #0078d4;
-            color: white;
-            border: none;
-            padding: 8px 16px;
-            border-radius: 4px;
-            cursor: pointer;
-          }
-        </style>
-      </head>
-      <body>
-        <button class="close-btn" onclick="window.close()">Close</button>
-        <div class="header">
-          <h2>Teams Messages (${this.messages.length})</h2>
-        </div>
-        <div class="messages-container">
-          ${messagesHtml}
-        </div>
-      </body>
-      </html>
-    `
-  }
-
-  escapeHtml (text) {
-    const div = document.createElement('div')
-    div.textContent = text
-    return div.innerHTML
+  getCannedResponses () {
+    return (this.settings.cannedResponses || '').split('\n').map(line => line.trim()).filter(Boolean)
+  }
+
+  /**
+   * Actions sent from the live messages window
+   * @param {string} context - Button context
+   * @param {string} action - 'markRead', 'reply' or 'refresh'
+   * @param {object} payload - { keys } for markRead, { key, text } for reply
+   */
+  async onMessagesPageAction (context, action, payload) {
+    if (action === 'markRead') {
+      const keys = payload.keys || []
+      const messages = this.messages.filter(message => keys.includes(getMessageKey(message)))
+      if (!await this.markRead(context, messages)) {
+        throw new Error('The acknowledge webhook failed')
+      }
+    } else if (action === 'reply') {
+      const message = this.messages.find(message => getMessageKey(message) === payload.key)
+      if (!message) {
+        throw new Error('The message is no longer unread')
+      }
+      await this.sendReply(context, message, payload.text)
+    } else if (action === 'refresh') {
+      await this.forceRefresh(context)
+    } else {
+      throw new Error(`Unknown action ${action}`)
+    }
   }
 
   blobToDataUrl (blob) {
@@ -284,10 +690,11 @@ export default class TeamsAvatar extends Action {
       const avatarUrl = settings.avatarWebhookUrl
       const messagesUrl = settings.messagesWebhookUrl
 
-      // Test both webhooks
+      // Test both webhooks, without retries so failures show up right away
+      const requestOptions = { ...this.getRequestOptions(settings), retries: 0 }
       const [avatarResponse, messagesResponse] = await Promise.all([
-        fetch(`${avatarUrl}?user=${encodeURIComponent(email)}`),
-        fetch(`${messagesUrl}?user=${encodeURIComponent(email)}`)
+        this.streamDeck.http.request(this.buildUserUrl(avatarUrl, email), requestOptions),
+        this.streamDeck.http.request(this.buildUserUrl(messagesUrl, email), requestOptions)
       ])
 
       const avatarOk = avatarResponse.ok
@@ -299,7 +706,7 @@ export default class TeamsAvatar extends Action {
         this.lastDisplayedImageState = 'testOk'
         setTimeout(() => {
           this.lastDisplayedImageState = null // Force update
-          this.updateDisplay(context)
+          this.updateDisplay(context).catch(error => this.onFetchError(context, error))
         }, 2000)
       } else {
         const testFailImage = this.generateTestFailImage()
@@ -307,7 +714,7 @@ export default class TeamsAvatar extends Action {
         this.lastDisplayedImageState = 'testFail'
         setTimeout(() => {
           this.lastDisplayedImageState = null // Force update
-          this.updateDisplay(context)
+          this.updateDisplay(context).catch(error => this.onFetchError(context, error))
         }, 2000)
       }
     } catch (error) {
@@ -316,7 +723,7 @@ export default class TeamsAvatar extends Action {
       this.lastDisplayedImageState = 'testError'
       setTimeout(() => {
         this.lastDisplayedImageState = null // Force update
-        this.updateDisplay(context)
+        this.updateDisplay(context).catch(error => this.onFetchError(context, error))
       }, 2000)
     }
   }
@@ -336,7 +743,7 @@ export default class TeamsAvatar extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Loading..." text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#0078d4')
     ctx.font = `bold ${size * 0.15}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -358,7 +765,7 @@ export default class TeamsAvatar extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Config Required" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#ff8c00')
     ctx.font = `bold ${size * 0.12}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -381,7 +788,7 @@ export default class TeamsAvatar extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Error" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#d13438')
     ctx.font = `bold ${size * 0.2}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -403,7 +810,7 @@ export default class TeamsAvatar extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Test OK" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#107c10')
     ctx.font = `bold ${size * 0.18}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -412,6 +819,29 @@ export default class TeamsAvatar extends Action {
     return canvas.toDataURL('image/png')
   }
 
+  generateReplySentImage () {
+    const canvas = document.createElement('canvas')
+    const ctx = canvas.getContext('2d')
+    const size = 144 // Stream Deck button size
+
+    canvas.width = size
+    canvas.height = size
+
+    // Draw Teams purple background
+    ctx.fillStyle = '#6264a7'
+    ctx.fillRect(0, 0, size, size)
+
+    // Draw "Reply Sent" text
+    ctx.fillStyle = readableTextColor('#6264a7')
+    ctx.font = `bold ${size * 0.15}px Arial`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText('Reply', size / 2, size / 2 - 12)
+    ctx.fillText('Sent', size / 2, size / 2 + 12)
+
+    return canvas.toDataURL('image/png')
+  }
+
   generateTestFailImage () {
     const canvas = document.createElement('canvas')
     const ctx = canvas.getContext('2d')
@@ -425,7 +855,7 @@ export default class TeamsAvatar extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Test Fail" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#d13438')
     ctx.font = `bold ${size * 0.15}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -447,7 +877,7 @@ export default class TeamsAvatar extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Test Error" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#a80000')
     ctx.font = `bold ${size * 0.13}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -456,121 +886,14 @@ export default class TeamsAvatar extends Action {
     return canvas.toDataURL('image/png')
   }
 
-  // Color utility methods for count overlay
-
-  getDominantColor (imageData) {
-    const data = imageData.data
-    const width = imageData.width
-    const height = imageData.height
-    const colorCount = {}
-    let maxCount = 0
-    let dominantColor = [128, 128, 128] // Default to gray
-
-    // Sample pixels in a regular grid (every 8 pixels for performance)
-    const step = 8
-    for (let y = 0; y < height; y += step) {
-      for (let x = 0; x < width; x += step) {
-        const index = (y * width + x) * 4
-        const r = data[index]
-        const g = data[index + 1]
-        const b = data[index + 2]
-        const alpha = data[index + 3]
-
-        // Skip transparent pixels
-        if (alpha < 128) continue
-
-        // Create a color key (quantize to reduce similar colors)
-        const key = `${Math.floor(r/32)*32},${Math.floor(g/32)*32},${Math.floor(b/32)*32}`
-
-        colorCount[key] = (colorCount[key] || 0) + 1
-
-        if (colorCount[key] > maxCount) {
-          maxCount = colorCount[key]
-          dominantColor = [parseInt(key.split(',')[0]), parseInt(key.split(',')[1]), parseInt(key.split(',')[2])]
-        }
-      }
-    }
-
-    return dominantColor
-  }
-
-  rgbToHsl (r, g, b) {
-    r /= 255
-    g /= 255
-    b /= 255
-
-    const max = Math.max(r, g, b)
-    const min = Math.min(r, g, b)
-    let h, s, l = (max + min) / 2
-
-    if (max === min) {
-      h = s = 0 // achromatic
-    } else {
-      const d = max - min
-      s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
-      switch (max) {
-        case r: h = (g - b) / d + (g < b ? 6 : 0); break
-        case g: h = (b - r) / d + 2; break
-        case b: h = (r - g) / d + 4; break
-      }
-      h /= 6
-    }
-
-    return [h, s, l]
-  }
-
-  hslToRgb (h, s, l) {
-    let r, g, b
-
-    if (s === 0) {
-      r = g = b = l // achromatic
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1
-        if (t > 1) t -= 1
-        if (t < 1/6) return p + (q - p) * 6 * t
-        if (t < 1/2) return q
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6
-        return p
-      }
-
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s
-      const p = 2 * l - q
-      r = hue2rgb(p, q, h + 1/3)
-      g = hue2rgb(p, q, h)
-      b = hue2rgb(p, q, h - 1/3)
-    }
-
-    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)]
-  }
-
-  getComplementaryColor (rgb) {
-    // Convert RGB to HSL
-    const [h, s, l] = this.rgbToHsl(rgb[0], rgb[1], rgb[2])
-
-    // Rotate hue by 160 degrees and keep same lightness
-    const newHue = (h + 160/360) % 1
-    let complementaryRgb = this.hslToRgb(newHue, s, l)
-
-    // Check if the complementary color is too dark (lightness < 0.4)
-    const [compH, compS, compL] = this.rgbToHsl(complementaryRgb[0], complementaryRgb[1], complementaryRgb[2])
-
-    // If complementary color is too dark, make it light instead
-    if (compL < 0.4) {
-      complementaryRgb = this.hslToRgb(newHue, Math.max(s, 0.7), Math.max(compL, 0.8))
-    }
-
-    return complementaryRgb
-  }
-
-  rgbToHex (rgb) {
-    return '#' + rgb.map(x => {
-      const hex = x.toString(16)
-      return hex.length === 1 ? '0' + hex : hex
-    }).join('')
-  }
-
-  overlayCountOnImage (imageDataUrl, count) {
+  /**
+   * Draw the unread badge, presence and snooze mark on the avatar
+   * @param {string} imageDataUrl - Avatar image
+   * @param {number} count - Count to show, 0 for none
+   * @param {object} options - { presence, snoozed, muted }, muted dims the avatar for quiet hours
+   * @returns {Promise<string>} Key image as a data URL
+   */
+  overlayCountOnImage (imageDataUrl, count, { presence = null, snoozed = false, muted = false } = {}) {
     return new Promise((resolve, reject) => {
       const canvas = document.createElement('canvas')
       const ctx = canvas.getContext('2d')
@@ -581,31 +904,28 @@ export default class TeamsAvatar extends Action {
 
       const img = new Image()
       img.onload = () => {
-        // Draw the original image
+        // Draw the original image, grayed out during quiet hours
+        if (muted) ctx.filter = 'grayscale(1) brightness(0.6)'
         ctx.drawImage(img, 0, 0, size, size)
+        ctx.filter = 'none'
+
+        const badgeStyle = this.settings.badgeStyle || 'center'
+        if (count > 0 && badgeStyle !== 'title') {
+          // Pick colors against the part of the avatar the badge covers
+          const region = getBadgeRegion(size, badgeStyle)
+          const regionData = ctx.getImageData(region.x, region.y, region.width, region.height)
+          drawBadge(ctx, size, count, badgeStyle, pickBadgeColors(regionData))
+        }
+
+        // Presence ring or dot, only when the webhook sent one
+        const presenceStyle = this.settings.presenceStyle || 'ring'
+        const presenceColor = getPresenceColor(presence, this.settings.presenceColors)
+        if (presenceColor && presenceStyle !== 'none') {
+          drawPresence(ctx, size, presenceColor, presenceStyle)
+        }
 
-        if (count > 0) {
-          // Get image data to analyze colors
-          const imageData = ctx.getImageData(0, 0, size, size)
-          const dominantColor = this.getDominantColor(imageData)
-          const complementaryColor = this.getComplementaryColor(dominantColor)
-          const strokeColor = this.rgbToHex(complementaryColor)
-
-          // Draw the number centered in the image
-          ctx.fillStyle = '#ffffff' // White text
-          ctx.font = `bold 144px Arial`
-          ctx.textAlign = 'center'
-          ctx.textBaseline = 'middle'
-
-          // Use complementary color for stroke
-          ctx.globalAlpha = 0.5
-          ctx.strokeStyle = '#000000'
-          ctx.lineWidth = 5
-          ctx.strokeText(count.toString(), size / 2, size / 1.6)
-
-          // White fill
-          ctx.fillText(count.toString(), size / 2, size / 1.6)
-          ctx.globalAlpha = 1
+        if (snoozed) {
+          this.drawSnoozeMark(ctx, size)
         }
 
         resolve(canvas.toDataURL('image/png'))
@@ -614,4 +934,56 @@ export default class TeamsAvatar extends Action {
       img.src = imageDataUrl
     })
   }
+
+  /**
+   * Render highlight frames for an image, one per border opacity
+   * @param {string} imageDataUrl - Key image
+   * @param {string} color - Border color
+   * @param {number[]} alphas - Border opacity of each frame, 0 gives the plain image
+   * @returns {Promise<string[]>} Frames as data URLs
+   */
+  createHighlightFrames (imageDataUrl, color, alphas) {
+    return new Promise((resolve, reject) => {
+      const img = new Image()
+      img.onload = () => {
+        const size = 144 // Stream Deck button size
+        const lineWidth = 12
+
+        resolve(alphas.map(alpha => {
+          const canvas = document.createElement('canvas')
+          const ctx = canvas.getContext('2d')
+          canvas.width = size
+          canvas.height = size
+
+          ctx.drawImage(img, 0, 0, size, size)
+          if (alpha > 0) {
+            ctx.globalAlpha = alpha
+            ctx.strokeStyle = color
+            ctx.lineWidth = lineWidth
+            ctx.strokeRect(lineWidth / 2, lineWidth / 2, size - lineWidth, size - lineWidth)
+          }
+
+          return canvas.toDataURL('image/png')
+        }))
+      }
+      img.onerror = reject
+      img.src = imageDataUrl
+    })
+  }
+
+  // "Zz" in the bottom-left corner while the count is snoozed
+  drawSnoozeMark (ctx, size) {
+    ctx.save()
+    ctx.beginPath()
+    ctx.arc(24, size - 24, 18, 0, Math.PI * 2)
+    ctx.fillStyle = '#464775'
+    ctx.fill()
+
+    ctx.fillStyle = readableTextColor('#464775')
+    ctx.font = `bold ${size * 0.14}px Arial`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText('Zz', 24, size - 23)
+    ctx.restore()
+  }
 }
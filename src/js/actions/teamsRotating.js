@@ -4,25 +4,54 @@
  * @license MIT
  */
 import Action from './action'
+import { expandUrl } from '../lib/urlTemplate'
+import { getPresenceColor, drawPresence } from '../lib/presence'
+import { drawBadge, formatCount, getBadgeRegion } from '../lib/badge'
+import { pickBadgeColors, readableTextColor } from '../lib/color'
+import { filterUsers, sortUsers, limitUsers } from '../lib/rotation'
+import { resolveTransition, drawTransitionFrame, EASINGS } from '../lib/transitions'
+
+// Upper bound on avatar + count images kept around for quick carousel swaps
+const MAX_COMPOSED_IMAGES = 20
+// Users remembered for going back with 'previous'
+const MAX_HISTORY = 10
+// Decoded avatars kept for transitions, the current and next one plus a little slack
+const MAX_DECODED_IMAGES = 4
+const TRANSITION_JPEG_QUALITY = 0.85
+// Transition timings are summed up and logged at most once per period, not per transition
+const TRANSITION_STATS_PERIOD = 60 * 60 * 1000
+
+// What each key gesture does unless configured otherwise
+const DEFAULT_GESTURE_ACTIONS = Object.freeze({
+  press: 'next',
+  doublePress: 'none',
+  longPress: 'none'
+})
 
 export default class TeamsRotating extends Action {
   constructor (uuid, streamDeck, context, settings) {
     super(uuid, streamDeck, context, settings)
 
-    this.pollingInterval = null
+    this.pollingKey = null // Data service subscription of this button's rotating URL
     this.carouselInterval = null
-    this.transitionInterval = null
+    this.transitionTimer = null // Next transition frame
+    this.transitionSafetyTimer = null
+    this.transitionCanvas = null // Reused for every transition frame
     this.users = []
+    this.isStale = false // Last poll failed, rotating through the last good data
     this.currentUserIndex = 0
     this.currentAvatarImage = null
     this.nextAvatarImage = null
     this.isFetchingNext = false
     this.isFetchingCurrent = false
     this.isTransitioning = false
-    this.avatarCache = new Map() // Cache for avatar images by user ID
-    this.transitionFrames = []
-    this.currentFrameIndex = 0
+    this.baseAvatarCache = new Map() // Avatars without count overlay by user ID
+    this.composedCache = new Map() // Avatars with count overlay by `${userId}_${count}_${presence}_${muted}`, LRU bounded
+    this.decodedImages = new Map() // Decoded avatars by data URL for transitions, LRU bounded
+    this.transitionStats = null // Timings summed since the last stats log
     this.lastDisplayedState = null // Track what's currently displayed to avoid redundant setImage calls
+    this.isPaused = false // Carousel paused from the key, data keeps updating
+    this.history = [] // User IDs shown before the current one, most recent last
 
     // Note: Don't call saveSettings here - settings should only be saved
     // when explicitly changed by the user in the Property Inspector.
@@ -42,8 +71,9 @@ export default class TeamsRotating extends Action {
   }
 
   onWillDisappear (context, settings) {
-    this.stopPolling()
+    this.stopPolling(context)
     this.stopCarousel()
+    this.cancelGesture()
   }
 
   onDidReceiveSettings (context, payload) {
@@ -51,7 +81,7 @@ export default class TeamsRotating extends Action {
     this.setSettings(settings)
 
     // Restart everything with new settings
-    this.stopPolling()
+    this.stopPolling(context)
     this.stopCarousel()
     this.users = []
     this.currentUserIndex = 0
@@ -60,18 +90,156 @@ export default class TeamsRotating extends Action {
     this.isFetchingNext = false
     this.isFetchingCurrent = false
     this.isTransitioning = false
-    this.avatarCache.clear() // Clear cache when settings change
-    this.transitionFrames = []
+    this.baseAvatarCache.clear() // Clear caches when settings change
+    this.composedCache.clear()
+    this.decodedImages.clear()
+    this.transitionStats = null // Timings with other settings don't compare
     this.lastDisplayedState = null // Reset displayed state
+    this.isPaused = false
+    this.history = []
 
     this.startPolling(context)
     this.startCarousel(context)
   }
 
+  onKeyDown (context, settings, coordinates, desiredState, state) {
+    // Without a long press action, holding the key is just a slow press
+    const detectLongPress = this.getGestureAction('longPress') !== 'none'
+    this.trackGestureKeyDown((gesture) => this.onGesture(context, gesture), detectLongPress)
+  }
+
   onKeyUp (context, settings, coordinates, desiredState, state) {
-    // Could show current user's details or something similar
-    // For now, just cycle to next user immediately
+    // Only hold back single presses when a double press has something to do
+    const detectDoublePress = this.getGestureAction('doublePress') !== 'none'
+    this.trackGestureKeyUp((gesture) => this.onGesture(context, gesture), detectDoublePress)
+  }
+
+  /**
+   * Action configured for a gesture in the Property Inspector
+   * @param {string} gesture - 'press', 'doublePress' or 'longPress'
+   * @returns {string} One of 'none', 'next', 'previous', 'openChat', 'togglePause'
+   */
+  getGestureAction (gesture) {
+    return this.settings[`${gesture}Action`] || DEFAULT_GESTURE_ACTIONS[gesture]
+  }
+
+  onGesture (context, gesture) {
+    const action = this.getGestureAction(gesture)
+
+    switch (action) {
+      case 'next':
+        this.skipToNextUser(context)
+        break
+      case 'previous':
+        this.showPreviousUser(context)
+        break
+      case 'openChat':
+        this.openChat(context)
+        break
+      case 'togglePause':
+        this.togglePause(context)
+        break
+    }
+  }
+
+  /**
+   * Open a Teams chat with the user currently on the key
+   * @param {string} context - Button context
+   */
+  openChat (context) {
+    const user = this.users[this.currentUserIndex]
+    // Teams deep links take a UPN, prefer the email when the webhook sends one
+    const participant = user && (user.email || user.userId)
+    if (!participant) return
+
+    this.streamDeck.send({
+      event: 'openUrl',
+      payload: {
+        url: `https://teams.microsoft.com/l/chat/0/0?users=${encodeURIComponent(participant)}`
+      }
+    })
+  }
+
+  togglePause (context) {
+    this.isPaused = !this.isPaused
+
+    if (this.isPaused) {
+      if (this.isTransitioning) {
+        this.forceCompleteTransition(context)
+      }
+      this.stopCarousel()
+    } else {
+      this.startCarousel(context)
+    }
+
+    this.updateDisplay(context).catch(error => this.onFetchError(context, error))
+  }
+
+  /**
+   * Advance from the key, giving the new user a full carousel duration
+   * @param {string} context - Button context
+   */
+  skipToNextUser (context) {
+    if (this.isTransitioning) {
+      this.forceCompleteTransition(context)
+    }
     this.showNextUser(context)
+    this.startCarousel(context)
+  }
+
+  /**
+   * Go back to the user shown before, or the one before in the rotation once
+   * the history runs out
+   * @param {string} context - Button context
+   */
+  async showPreviousUser (context) {
+    if (this.users.length === 0) {
+      return
+    }
+    if (this.isTransitioning) {
+      this.forceCompleteTransition(context)
+    }
+
+    // Skip users that have left the rotation since
+    let index = -1
+    while (index === -1 && this.history.length > 0) {
+      const userId = this.history.pop()
+      index = this.users.findIndex(user => user.userId === userId)
+    }
+    if (index === -1) {
+      index = (this.currentUserIndex - 1 + this.users.length) % this.users.length
+    }
+
+    const user = this.users[index]
+    this.currentUserIndex = index
+    this.nextAvatarImage = null
+    this.startCarousel(context)
+
+    try {
+      this.currentAvatarImage = await this.composeAvatar(user)
+    } catch (error) {
+      this.streamDeck.log(`Error loading previous avatar: ${error.message}`)
+      this.currentAvatarImage = null
+    }
+
+    // The key may have moved on while the avatar loaded
+    if (this.users[this.currentUserIndex] !== user) {
+      return
+    }
+
+    this.prefetchNextAvatar()
+    this.updateDisplay(context).catch(error => this.onFetchError(context, error))
+  }
+
+  // Remember the user being left, for going back with 'previous'
+  pushHistory () {
+    const user = this.users[this.currentUserIndex]
+    if (!user) return
+
+    this.history.push(user.userId)
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift()
+    }
   }
 
   /**
@@ -90,84 +258,95 @@ export default class TeamsRotating extends Action {
   }
 
   startPolling (context) {
-    this.stopPolling()
+    this.stopPolling(context)
 
-    // Initial fetch
-    this.fetchUsersData(context)
+    const rotatingUrl = this.settings.rotatingWebhookUrl
 
-    // Set up polling
+    if (!rotatingUrl) {
+      const configImage = this.generateConfigRequiredImage()
+      this.setImageIfChanged(context, configImage, 'configRequired')
+      return
+    }
+
+    // Subscribe through the shared data service, several rotating buttons
+    // on the same URL and credentials share a single request per cycle
     const pollingRate = (this.settings.pollingRefreshRate || 30) * 1000
-    this.pollingInterval = setInterval(() => {
-      this.fetchUsersData(context)
-    }, pollingRate)
+    this.pollingKey = this.streamDeck.dataService.subscribe(rotatingUrl, context, pollingRate, {
+      onData: (usersData) => this.onUsersData(context, usersData),
+      onStale: (error) => this.onStaleData(context, error),
+      onError: (error) => this.onFetchError(context, error)
+    }, this.getRequestOptions())
   }
 
-  stopPolling () {
-    if (this.pollingInterval) {
-      clearInterval(this.pollingInterval)
-      this.pollingInterval = null
+  stopPolling (context) {
+    if (this.pollingKey) {
+      this.streamDeck.dataService.unsubscribe(this.pollingKey, context)
+      this.pollingKey = null
     }
   }
 
   startCarousel (context) {
     this.stopCarousel()
 
+    if (this.isPaused) {
+      return
+    }
+
     const carouselDuration = (this.settings.carouselDuration || 5) * 1000
-    const disableAnimation = this.settings.disableAnimation || false
+    const transition = resolveTransition(this.settings)
 
-    if (disableAnimation) {
+    // No transitions during quiet hours, the carousel keeps going
+    if (transition.effect === 'none' || this.getQuietHours().active) {
       // No animation - just switch after the carousel duration
       this.carouselInterval = setInterval(() => {
         this.showNextUser(context)
       }, carouselDuration)
     } else {
-      // Duration includes display time + 1 second transition
+      // Duration includes display time + transition time
       this.carouselInterval = setInterval(() => {
         // Only start transition if not already transitioning
         if (!this.isTransitioning) {
           this.showNextUserWithTransition(context)
         }
-      }, carouselDuration + 1000) // Add 1 second for transition
+      }, carouselDuration + transition.duration)
     }
   }
 
+  async onQuietHoursChange (context, active) {
+    if (this.isTransitioning) {
+      this.forceCompleteTransition(context)
+    }
+    this.startCarousel(context)
+
+    // Recompose the avatars muted, or back to normal
+    this.currentAvatarImage = null
+    this.nextAvatarImage = null
+    await this.prefetchCurrentAvatar()
+    this.prefetchNextAvatar()
+    this.updateDisplay(context).catch(error => this.onFetchError(context, error))
+  }
+
   stopCarousel () {
     if (this.carouselInterval) {
       clearInterval(this.carouselInterval)
       this.carouselInterval = null
     }
-    if (this.transitionInterval) {
-      clearInterval(this.transitionInterval)
-      this.transitionInterval = null
-    }
+    this.stopTransitionTimers()
   }
 
-  async fetchUsersData (context) {
+  async onUsersData (context, usersData) {
     try {
-      const rotatingUrl = this.settings.rotatingWebhookUrl
-
-      if (!rotatingUrl) {
-        const configImage = this.generateConfigRequiredImage()
-        this.setImageIfChanged(context, configImage, 'configRequired')
-        return
-      }
-
-      const response = await fetch(rotatingUrl)
-      if (!response.ok) {
-        const errorImage = this.generateErrorImage()
-        this.setImageIfChanged(context, errorImage, 'error')
-        return
-      }
-
-      const usersData = await response.json()
       if (!Array.isArray(usersData)) {
         const invalidDataImage = this.generateInvalidDataImage()
         this.setImageIfChanged(context, invalidDataImage, 'invalidData')
         return
       }
 
-      // Sort by count DESC
-      const sortedUsers = usersData.sort((a, b) => (b.count || 0) - (a.count || 0))
+      this.isStale = false
+
+      // Filter, sort and cap the rotation (all on copies, the data is shared with other buttons)
+      const filteredUsers = filterUsers(usersData, this.settings)
+      const sortedUsers = limitUsers(sortUsers(filteredUsers, this.settings), this.settings)
 
       // Find current user's position in new data
       const currentUser = this.users[this.currentUserIndex]
@@ -184,6 +363,7 @@ export default class TeamsRotating extends Action {
       }
 
       this.users = sortedUsers
+      this.pruneAvatarCaches()
       this.currentUserIndex = newIndex
 
       // Pre-fetch current avatar immediately for the first display
@@ -197,14 +377,25 @@ export default class TeamsRotating extends Action {
       }
 
       // Update display
-      this.updateDisplay(context)
+      await this.updateDisplay(context)
     } catch (error) {
-      this.streamDeck.log(`Error fetching users data: ${error.message}`)
-      const errorImage = this.generateErrorImage()
-      this.setImageIfChanged(context, errorImage, 'error')
+      this.onFetchError(context, error)
     }
   }
 
+  onStaleData (context, error) {
+    // Keep rotating through the last good users, just flag them as outdated
+    this.isStale = true
+    this.updateDisplay(context).catch(updateError => this.onFetchError(context, updateError))
+  }
+
+  onFetchError (context, error) {
+    this.isStale = false
+    this.streamDeck.log(`Error fetching users data: ${error.message}`)
+    const errorImage = this.generateErrorImage()
+    this.setImageIfChanged(context, errorImage, 'error')
+  }
+
   showNextUser (context) {
     if (this.users.length === 0) {
       const noUsersImage = this.generateNoUsersImage()
@@ -212,6 +403,7 @@ export default class TeamsRotating extends Action {
       return
     }
 
+    this.pushHistory()
     this.currentUserIndex = (this.currentUserIndex + 1) % this.users.length
 
     // Swap current and next avatar
@@ -221,7 +413,7 @@ export default class TeamsRotating extends Action {
     // Start prefetching next avatar
     this.prefetchNextAvatar()
 
-    this.updateDisplay(context)
+    this.updateDisplay(context).catch(error => this.onFetchError(context, error))
   }
 
   async showNextUserWithTransition (context) {
@@ -239,64 +431,25 @@ export default class TeamsRotating extends Action {
     this.isTransitioning = true
 
     try {
-      // Generate 24 frames for 1 second transition (24fps)
-      await this.generateTransitionFrames()
+      const [from, to] = await Promise.all([
+        this.getDecodedImage(this.currentAvatarImage),
+        this.getDecodedImage(this.nextAvatarImage)
+      ])
 
-      // Play the transition
-      this.playTransition(context)
+      // Cancelled (paused, skipped, settings changed) while the images decoded
+      if (!this.isTransitioning) {
+        return
+      }
+
+      this.playTransition(context, resolveTransition(this.settings), from, to)
     } catch (error) {
-      // If frame generation fails, fall back to instant change and reset transition state
-      this.streamDeck.log(`Transition frame generation failed: ${error.message}`)
+      // If the images can't be decoded, fall back to instant change and reset transition state
+      this.streamDeck.log(`Transition failed: ${error.message}`)
       this.isTransitioning = false
       this.showNextUser(context)
     }
   }
 
-  async generateTransitionFrames () {
-    this.transitionFrames = []
-
-    const canvas = document.createElement('canvas')
-    const ctx = canvas.getContext('2d')
-    const size = 144 // Stream Deck button size
-
-    canvas.width = size
-    canvas.height = size
-
-    try {
-      // Load both images
-      const currentImg = await this.loadImage(this.currentAvatarImage)
-      const nextImg = await this.loadImage(this.nextAvatarImage)
-
-      // Generate 24 frames
-      for (let frame = 0; frame <= 24; frame++) {
-        // Clear canvas with black background
-        ctx.fillStyle = '#000000'
-        ctx.fillRect(0, 0, size, size)
-
-        // Calculate alpha values (frame 0 = current full, frame 24 = next full)
-        const currentAlpha = 1 - (frame / 24)
-        const nextAlpha = frame / 24
-
-        // Draw current image with fading alpha
-        ctx.globalAlpha = currentAlpha
-        ctx.drawImage(currentImg, 0, 0, size, size)
-
-        // Draw next image with increasing alpha
-        ctx.globalAlpha = nextAlpha
-        ctx.drawImage(nextImg, 0, 0, size, size)
-
-        // Reset alpha
-        ctx.globalAlpha = 1
-
-        // Store frame as data URL
-        this.transitionFrames.push(canvas.toDataURL('image/png'))
-      }
-    } catch (error) {
-      // If image loading fails, rethrow to be caught by caller
-      throw new Error(`Failed to generate transition frames: ${error.message}`)
-    }
-  }
-
   loadImage (dataUrl) {
     return new Promise((resolve, reject) => {
       const img = new Image()
@@ -306,81 +459,222 @@ export default class TeamsRotating extends Action {
     })
   }
 
-  playTransition (context) {
-    this.currentFrameIndex = 0
+  /**
+   * Decoded image for a data URL. The next avatar of one transition is the
+   * current one of the following transition, so it is only decoded once.
+   * @param {string} dataUrl - Image data URL
+   * @returns {Promise<HTMLImageElement>} Decoded image
+   */
+  async getDecodedImage (dataUrl) {
+    if (this.decodedImages.has(dataUrl)) {
+      const image = this.decodedImages.get(dataUrl)
+      this.decodedImages.delete(dataUrl)
+      this.decodedImages.set(dataUrl, image)
+      return image
+    }
+
+    const image = await this.loadImage(dataUrl)
+    this.decodedImages.set(dataUrl, image)
+    if (this.decodedImages.size > MAX_DECODED_IMAGES) {
+      this.decodedImages.delete(this.decodedImages.keys().next().value)
+    }
+
+    return image
+  }
+
+  /**
+   * Play a transition, rendering each frame only when it is due. Progress
+   * follows the clock, so when rendering or sending falls behind, frames are
+   * dropped rather than the transition running long.
+   * @param {string} context - Button context
+   * @param {object} transition - Transition settings as returned by resolveTransition()
+   * @param {HTMLImageElement} from - Decoded current avatar
+   * @param {HTMLImageElement} to - Decoded next avatar
+   */
+  playTransition (context, transition, from, to) {
     this.lastDisplayedState = 'transitioning' // Mark as transitioning to allow frame updates
+    this.stopTransitionTimers()
 
-    // Clear any existing transition interval
-    if (this.transitionInterval) {
-      clearInterval(this.transitionInterval)
+    // One canvas for all frames of all transitions
+    if (!this.transitionCanvas) {
+      this.transitionCanvas = document.createElement('canvas')
+      this.transitionCanvas.width = 144 // Stream Deck button size
+      this.transitionCanvas.height = 144
     }
+    const canvas = this.transitionCanvas
+    const ctx = canvas.getContext('2d')
+
+    const ease = EASINGS[transition.easing]
+    const frameInterval = 1000 / transition.fps
+    const startedAt = Date.now()
+    const stats = { sent: 0, dropped: 0, renderTime: 0 }
+    let lastFrame = -1
 
-    // Safety timeout - force complete transition after 2 seconds
-    const safetyTimeout = setTimeout(() => {
+    // Safety timeout - force complete transition a second after it should have ended
+    this.transitionSafetyTimer = setTimeout(() => {
       if (this.isTransitioning) {
         this.streamDeck.log('Transition safety timeout triggered')
         this.forceCompleteTransition(context)
       }
-    }, 2000)
-
-    // Play at ~24fps (1000ms / 24 frames = ~41.67ms per frame)
-    this.transitionInterval = setInterval(() => {
-      if (this.currentFrameIndex < this.transitionFrames.length) {
-        // Update image with current frame (always update during transition)
-        this.setImage(context, this.transitionFrames[this.currentFrameIndex])
-        this.currentFrameIndex++
-      } else {
-        // Transition complete
-        this.completeTransition(context, safetyTimeout)
+    }, transition.duration + 1000)
+
+    const tick = () => {
+      const elapsed = Date.now() - startedAt
+
+      // The last frame is the next avatar itself, drawn by completeTransition()
+      if (elapsed >= transition.duration) {
+        this.recordTransitionStats(transition, stats, elapsed)
+        this.completeTransition(context)
+        return
       }
-    }, 1000 / 24) // 24fps
+
+      const frame = Math.floor(elapsed / frameInterval)
+      stats.dropped += Math.max(0, frame - lastFrame - 1)
+      lastFrame = frame
+
+      // Intermediate frames are short-lived, JPEG is far smaller and quicker to encode than PNG
+      const renderStart = Date.now()
+      drawTransitionFrame(ctx, canvas.width, from, to, ease(elapsed / transition.duration), transition.effect)
+      this.setImage(context, canvas.toDataURL('image/jpeg', TRANSITION_JPEG_QUALITY))
+      stats.renderTime += Date.now() - renderStart
+      stats.sent++
+
+      // Wait for the next frame slot, frames whose slot has already passed are skipped
+      const nextFrameAt = (Math.floor((Date.now() - startedAt) / frameInterval) + 1) * frameInterval
+      this.transitionTimer = setTimeout(tick, Math.max(0, nextFrameAt - (Date.now() - startedAt)))
+    }
+
+    tick()
   }
 
-  completeTransition (context, safetyTimeout) {
-    // Clear safety timeout
-    if (safetyTimeout) {
-      clearTimeout(safetyTimeout)
+  /**
+   * Add a finished transition to the running totals, and log the averages
+   * once the stats period is over
+   * @param {object} transition - Transition settings as returned by resolveTransition()
+   * @param {object} stats - { sent, dropped, renderTime } of the transition
+   * @param {number} elapsed - How long the transition took in ms
+   */
+  recordTransitionStats (transition, stats, elapsed) {
+    if (!this.transitionStats) {
+      this.transitionStats = { since: Date.now(), transitions: 0, sent: 0, dropped: 0, renderTime: 0, elapsed: 0 }
     }
 
-    // Clear transition interval
-    if (this.transitionInterval) {
-      clearInterval(this.transitionInterval)
-      this.transitionInterval = null
+    const totals = this.transitionStats
+    totals.transitions++
+    totals.sent += stats.sent
+    totals.dropped += stats.dropped
+    totals.renderTime += stats.renderTime
+    totals.elapsed += elapsed
+
+    if (Date.now() - totals.since < TRANSITION_STATS_PERIOD) {
+      return
     }
 
+    const perFrame = totals.sent > 0 ? (totals.renderTime / totals.sent).toFixed(1) : 0
+    const perTransition = Math.round(totals.elapsed / totals.transitions)
+    this.streamDeck.log(`Transitions (${transition.effect} at ${transition.fps}fps): ${totals.transitions} played, ` +
+      `${(totals.sent / totals.transitions).toFixed(1)} frames sent and ${(totals.dropped / totals.transitions).toFixed(1)} dropped on average, ` +
+      `${perFrame}ms per frame, ${perTransition}ms per transition`)
+    this.transitionStats = null
+  }
+
+  stopTransitionTimers () {
+    clearTimeout(this.transitionTimer)
+    clearTimeout(this.transitionSafetyTimer)
+    this.transitionTimer = null
+    this.transitionSafetyTimer = null
+  }
+
+  completeTransition (context) {
+    this.stopTransitionTimers()
     this.isTransitioning = false
 
     // Move to next user
+    this.pushHistory()
     this.currentUserIndex = (this.currentUserIndex + 1) % this.users.length
     this.currentAvatarImage = this.nextAvatarImage
     this.nextAvatarImage = null
 
     // Update title and prefetch next
-    this.updateDisplay(context)
+    this.updateDisplay(context).catch(error => this.onFetchError(context, error))
     if (this.users.length > 0) {
       this.prefetchNextAvatar()
     }
-
-    // Clean up frames to free memory
-    this.transitionFrames = []
   }
 
   forceCompleteTransition (context) {
     // Force completion with current state
-    if (this.transitionInterval) {
-      clearInterval(this.transitionInterval)
-      this.transitionInterval = null
-    }
+    this.stopTransitionTimers()
     this.isTransitioning = false
-    this.transitionFrames = []
 
     // Just update display without changing user
-    this.updateDisplay(context)
+    this.updateDisplay(context).catch(error => this.onFetchError(context, error))
     if (this.users.length > 0) {
       this.prefetchNextAvatar()
     }
   }
 
+  /**
+   * Resolve the avatar URL template for a user, falling back to ?userId=<id>
+   * @param {string} template - Webhook URL, may contain {userId}, {displayName}, {email} and {size}
+   * @param {object} user - User entry from the rotating webhook
+   * @returns {string} Resolved URL
+   */
+  buildAvatarUrl (template, user) {
+    const values = {
+      userId: user.userId,
+      displayName: user.displayName,
+      email: user.email
+    }
+    return expandUrl(template, values, 'userId', user.userId)
+  }
+
+  /**
+   * Fetch a user's avatar without count overlay, going through the persistent store
+   * @param {string} avatarUrl - Avatar webhook URL template
+   * @param {object} user - User entry from the rotating webhook
+   * @returns {Promise<string|null>} Avatar data URL, or null when the webhook has none (404)
+   */
+  async fetchBaseAvatar (avatarUrl, user) {
+    const identity = `userId:${user.userId}`
+    const stored = this.streamDeck.avatarStore.get(identity)
+
+    if (stored && stored.isFresh) {
+      return stored.image
+    }
+
+    try {
+      const response = await this.streamDeck.http.request(this.buildAvatarUrl(avatarUrl, user), {
+        ...this.getRequestOptions(),
+        conditional: Boolean(stored)
+      })
+
+      if (response.status === 304 && stored) {
+        this.streamDeck.avatarStore.touch(identity)
+        return stored.image
+      }
+
+      // Only a 404 means the user has no photo, anything else may work next time
+      if (response.status === 404) {
+        return null
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      const avatarBlob = await response.blob()
+      const image = await this.blobToDataUrl(avatarBlob)
+      this.streamDeck.avatarStore.set(identity, image)
+      return image
+    } catch (error) {
+      // An expired avatar is still better than falling back to initials
+      if (stored) {
+        return stored.image
+      }
+      throw error
+    }
+  }
+
   async prefetchNextAvatar () {
     if (this.isFetchingNext) {
       return
@@ -399,60 +693,10 @@ export default class TeamsRotating extends Action {
 
     this.isFetchingNext = true
 
-    const count = nextUser.count || 0
-    const cacheKey = `${nextUser.userId}_${count}`
-
-    // Check cache first
-    if (this.avatarCache.has(cacheKey)) {
-      this.nextAvatarImage = this.avatarCache.get(cacheKey)
-      this.streamDeck.log(`Using cached avatar for user ${nextUser.userId}`)
-      this.isFetchingNext = false
-      return
-    }
-
-    // For bots, always generate initials image (webhook won't return it)
-    if (nextUser.fromType === 'bot') {
-      const baseImage = this.generateInitialsImage(nextUser.displayName || nextUser.userId, nextUser.displayName === 'Workflows' ? 'WF' : null)
-      this.nextAvatarImage = await this.overlayCountOnImage(baseImage, count)
-      this.avatarCache.set(cacheKey, this.nextAvatarImage)
-      this.streamDeck.log(`Cached new avatar for user ${nextUser.userId}`)
-      this.isFetchingNext = false
-      return
-    }
-
-    // For users, try to fetch avatar first, fallback to initials
     try {
-      const avatarUrl = this.settings.avatarWebhookUrl
-      if (!avatarUrl) {
-        const baseImage = this.generateInitialsImage(nextUser.displayName || nextUser.userId)
-        this.nextAvatarImage = await this.overlayCountOnImage(baseImage, count)
-        this.avatarCache.set(cacheKey, this.nextAvatarImage)
-        this.streamDeck.log(`Cached new avatar for user ${nextUser.userId}`)
-        this.isFetchingNext = false
-        return
-      }
-
-      const response = await fetch(`${avatarUrl}?userId=${encodeURIComponent(nextUser.userId)}`)
-      if (response.ok) {
-        const avatarBlob = await response.blob()
-        const baseImage = await this.blobToDataUrl(avatarBlob)
-        this.nextAvatarImage = await this.overlayCountOnImage(baseImage, count)
-        this.avatarCache.set(cacheKey, this.nextAvatarImage)
-        this.streamDeck.log(`Cached new avatar for user ${nextUser.userId}`)
-      } else {
-        // Avatar not found (404 or other error), generate initials image
-        const baseImage = this.generateInitialsImage(nextUser.displayName || nextUser.userId)
-        this.nextAvatarImage = await this.overlayCountOnImage(baseImage, count)
-        this.avatarCache.set(cacheKey, this.nextAvatarImage)
-        this.streamDeck.log(`Cached new avatar for user ${nextUser.userId}`)
-      }
+      this.nextAvatarImage = await this.composeAvatar(nextUser)
     } catch (error) {
-      // Network error, generate initials image as fallback
       this.streamDeck.log(`Error prefetching avatar: ${error.message}`)
-      const baseImage = this.generateInitialsImage(nextUser.displayName || nextUser.userId)
-      this.nextAvatarImage = await this.overlayCountOnImage(baseImage, count)
-      this.avatarCache.set(cacheKey, this.nextAvatarImage)
-      this.streamDeck.log(`Cached new avatar for user ${nextUser.userId}`)
     } finally {
       this.isFetchingNext = false
     }
@@ -475,66 +719,105 @@ export default class TeamsRotating extends Action {
 
     this.isFetchingCurrent = true
 
-    const count = currentUser.count || 0
-    const cacheKey = `${currentUser.userId}_${count}`
-
-    // Check cache first
-    if (this.avatarCache.has(cacheKey)) {
-      this.currentAvatarImage = this.avatarCache.get(cacheKey)
-      this.streamDeck.log(`Using cached avatar for user ${currentUser.userId}`)
+    try {
+      this.currentAvatarImage = await this.composeAvatar(currentUser)
+    } catch (error) {
+      this.streamDeck.log(`Error prefetching current avatar: ${error.message}`)
+    } finally {
       this.isFetchingCurrent = false
-      return
     }
+  }
 
-    // For bots, always generate initials image (webhook won't return it)
-    if (currentUser.fromType === 'bot') {
-      const baseImage = this.generateInitialsImage(currentUser.displayName || currentUser.userId, currentUser.displayName === 'Workflows' ? 'WF' : null)
-      this.currentAvatarImage = await this.overlayCountOnImage(baseImage, count)
-      this.avatarCache.set(cacheKey, this.currentAvatarImage)
-      this.streamDeck.log(`Cached new avatar for user ${currentUser.userId}`)
-      this.isFetchingCurrent = false
-      return
+  /**
+   * Avatar with the user's count drawn on it. Count changes only cost a
+   * canvas redraw, the base avatar comes from its own cache.
+   * @param {object} user - User entry from the rotating webhook
+   * @returns {Promise<string>} Composed image as a data URL
+   */
+  async composeAvatar (user) {
+    const quiet = this.getQuietHours()
+    const count = quiet.hideCount ? 0 : (user.count || 0)
+    const presence = user.presence || null
+    const cacheKey = `${user.userId}_${count}_${presence}_${quiet.active}`
+
+    if (this.composedCache.has(cacheKey)) {
+      // Re-insert so the Map's order doubles as least-recently-used order
+      const image = this.composedCache.get(cacheKey)
+      this.composedCache.delete(cacheKey)
+      this.composedCache.set(cacheKey, image)
+      return image
     }
 
-    // For users, try to fetch avatar first, fallback to initials
-    try {
+    const base = await this.getBaseAvatar(user)
+    const image = await this.overlayCountOnImage(base.image, count, { presence, muted: quiet.active })
+
+    // Stand-in initials must not outlive the network error, or the webhook is never asked again
+    if (base.isFallback) {
+      return image
+    }
+
+    this.composedCache.set(cacheKey, image)
+    if (this.composedCache.size > MAX_COMPOSED_IMAGES) {
+      this.composedCache.delete(this.composedCache.keys().next().value)
+    }
+
+    return image
+  }
+
+  /**
+   * Avatar without count overlay, fetched once per user
+   * @param {object} user - User entry from the rotating webhook
+   * @returns {Promise<object>} { image, isFallback }: the avatar or generated initials as a
+   *   data URL, isFallback when initials only stand in for an avatar that failed to load
+   */
+  async getBaseAvatar (user) {
+    if (this.baseAvatarCache.has(user.userId)) {
+      return { image: this.baseAvatarCache.get(user.userId), isFallback: false }
+    }
+
+    const displayName = user.displayName || user.userId
+    let baseImage
+
+    // For bots, always generate initials image (webhook won't return it)
+    if (user.fromType === 'bot') {
+      baseImage = this.generateInitialsImage(displayName, user.displayName === 'Workflows' ? 'WF' : null)
+    } else {
+      // For users, try to fetch avatar first, fallback to initials
       const avatarUrl = this.settings.avatarWebhookUrl
-      if (!avatarUrl) {
-        const baseImage = this.generateInitialsImage(currentUser.displayName || currentUser.userId)
-        this.currentAvatarImage = await this.overlayCountOnImage(baseImage, count)
-        this.avatarCache.set(cacheKey, this.currentAvatarImage)
-        this.streamDeck.log(`Cached new avatar for user ${currentUser.userId}`)
-        this.isFetchingCurrent = false
-        return
+
+      try {
+        baseImage = avatarUrl ? await this.fetchBaseAvatar(avatarUrl, user) : null
+      } catch (error) {
+        // Network or server error, show initials for now but try the webhook again next time
+        this.streamDeck.log(`Error fetching avatar for user ${user.userId}: ${error.message}`)
+        return { image: this.generateInitialsImage(displayName), isFallback: true }
       }
 
-      const response = await fetch(`${avatarUrl}?userId=${encodeURIComponent(currentUser.userId)}`)
-      if (response.ok) {
-        const avatarBlob = await response.blob()
-        const baseImage = await this.blobToDataUrl(avatarBlob)
-        this.currentAvatarImage = await this.overlayCountOnImage(baseImage, count)
-        this.avatarCache.set(cacheKey, this.currentAvatarImage)
-        this.streamDeck.log(`Cached new avatar for user ${currentUser.userId}`)
-      } else {
-        // Avatar not found (404 or other error), generate initials image
-        const baseImage = this.generateInitialsImage(currentUser.displayName || currentUser.userId)
-        this.currentAvatarImage = await this.overlayCountOnImage(baseImage, count)
-        this.avatarCache.set(cacheKey, this.currentAvatarImage)
-        this.streamDeck.log(`Cached new avatar for user ${currentUser.userId}`)
+      // The user has no avatar, generate initials image
+      if (!baseImage) {
+        baseImage = this.generateInitialsImage(displayName)
       }
-    } catch (error) {
-      // Network error, generate initials image as fallback
-      this.streamDeck.log(`Error prefetching current avatar: ${error.message}`)
-      const baseImage = this.generateInitialsImage(currentUser.displayName || currentUser.userId)
-      this.currentAvatarImage = await this.overlayCountOnImage(baseImage, count)
-      this.avatarCache.set(cacheKey, this.currentAvatarImage)
-      this.streamDeck.log(`Cached new avatar for user ${currentUser.userId}`)
-    } finally {
-      this.isFetchingCurrent = false
     }
+
+    this.baseAvatarCache.set(user.userId, baseImage)
+    this.streamDeck.log(`Cached new avatar for user ${user.userId}`)
+    return { image: baseImage, isFallback: false }
   }
 
-  updateDisplay (context) {
+  /**
+   * Drop cached avatars of users that are no longer in the rotation
+   */
+  pruneAvatarCaches () {
+    const userIds = new Set(this.users.map(user => user.userId))
+
+    for (const userId of this.baseAvatarCache.keys()) {
+      if (!userIds.has(userId)) {
+        this.baseAvatarCache.delete(userId)
+      }
+    }
+  }
+
+  async updateDisplay (context) {
     if (this.users.length === 0) {
       // For no users, show a blank image with "No Users" text
       const noUsersImage = this.generateNoUsersImage()
@@ -547,27 +830,34 @@ export default class TeamsRotating extends Action {
     }
 
     const currentUser = this.users[this.currentUserIndex]
-    const count = currentUser?.count || 0
-    const stateKey = `avatar:${currentUser?.userId}_${count}_${this.currentUserIndex}`
+    const quiet = this.getQuietHours()
+    const count = quiet.hideCount ? 0 : (currentUser?.count || 0)
+    const stateKey = `avatar:${currentUser?.userId}_${count}_${currentUser?.presence}_${this.currentUserIndex}${quiet.active ? '_quiet' : ''}${this.isPaused ? '_paused' : ''}${this.isStale ? '_stale' : ''}`
 
-    // Set avatar image (use current or fall back to next if available)
-    if (this.currentAvatarImage) {
-      this.setImageIfChanged(context, this.currentAvatarImage, stateKey)
-    } else if (this.nextAvatarImage) {
-      // Use next avatar as fallback
-      this.setImageIfChanged(context, this.nextAvatarImage, stateKey)
+    // Use next avatar as fallback if the current one isn't ready
+    if (!this.currentAvatarImage && this.nextAvatarImage) {
       this.currentAvatarImage = this.nextAvatarImage
       this.nextAvatarImage = null
       this.prefetchNextAvatar()
     }
 
-    // Set title with display name if enabled
-    if (this.settings.useDisplayNameAsTitle) {
-      const displayName = currentUser?.displayName || ''
-      this.setTitle(context, displayName)
-    } else {
-      this.setTitle(context, '')
+    if (this.currentAvatarImage) {
+      let image = this.isStale ? await this.markStale(this.currentAvatarImage) : this.currentAvatarImage
+      if (this.isPaused) {
+        image = await this.markPaused(image)
+      }
+      this.setImageIfChanged(context, image, stateKey)
+    }
+
+    // Set title with display name if enabled, and the count for the 'title' badge style
+    const titleParts = []
+    if (this.settings.useDisplayNameAsTitle && currentUser?.displayName) {
+      titleParts.push(currentUser.displayName)
     }
+    if (this.settings.badgeStyle === 'title' && count > 0) {
+      titleParts.push(formatCount(count))
+    }
+    this.setTitle(context, titleParts.join('\n'))
   }
 
   blobToDataUrl (blob) {
@@ -620,129 +910,26 @@ export default class TeamsRotating extends Action {
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
 
-    ctx.strokeStyle = '#000000'
+    // Readable text on the pastel background, outlined in the opposite shade
+    const textColor = readableTextColor(backgroundColor)
+    ctx.strokeStyle = textColor === '#000000' ? '#ffffff' : '#000000'
     ctx.lineWidth = 2
     ctx.strokeText(initials, size / 2, size / 2)
 
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = textColor
     ctx.fillText(initials, size / 2, size / 2)
 
     return canvas.toDataURL('image/png')
   }
 
-  getDominantColor (imageData) {
-    const data = imageData.data
-    const width = imageData.width
-    const height = imageData.height
-    const colorCount = {}
-    let maxCount = 0
-    let dominantColor = [128, 128, 128] // Default to gray
-
-    // Sample pixels in a regular grid (every 8 pixels for performance)
-    const step = 8
-    for (let y = 0; y < height; y += step) {
-      for (let x = 0; x < width; x += step) {
-        const index = (y * width + x) * 4
-        const r = data[index]
-        const g = data[index + 1]
-        const b = data[index + 2]
-        const alpha = data[index + 3]
-
-        // Skip transparent pixels
-        if (alpha < 128) continue
-
-        // Create a color key (quantize to reduce similar colors)
-        const key = `${Math.floor(r/32)*32},${Math.floor(g/32)*32},${Math.floor(b/32)*32}`
-
-        colorCount[key] = (colorCount[key] || 0) + 1
-
-        if (colorCount[key] > maxCount) {
-          maxCount = colorCount[key]
-          dominantColor = [parseInt(key.split(',')[0]), parseInt(key.split(',')[1]), parseInt(key.split(',')[2])]
-        }
-      }
-    }
-
-    return dominantColor
-  }
-
-  rgbToHsl (r, g, b) {
-    r /= 255
-    g /= 255
-    b /= 255
-
-    const max = Math.max(r, g, b)
-    const min = Math.min(r, g, b)
-    let h, s, l = (max + min) / 2
-
-    if (max === min) {
-      h = s = 0 // achromatic
-    } else {
-      const d = max - min
-      s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
-      switch (max) {
-        case r: h = (g - b) / d + (g < b ? 6 : 0); break
-        case g: h = (b - r) / d + 2; break
-        case b: h = (r - g) / d + 4; break
-      }
-      h /= 6
-    }
-
-    return [h, s, l]
-  }
-
-  hslToRgb (h, s, l) {
-    let r, g, b
-
-    if (s === 0) {
-      r = g = b = l // achromatic
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1
-        if (t > 1) t -= 1
-        if (t < 1/6) return p + (q - p) * 6 * t
-        if (t < 1/2) return q
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6
-        return p
-      }
-
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s
-      const p = 2 * l - q
-      r = hue2rgb(p, q, h + 1/3)
-      g = hue2rgb(p, q, h)
-      b = hue2rgb(p, q, h - 1/3)
-    }
-
-    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)]
-  }
-
-  getComplementaryColor (rgb) {
-    // Convert RGB to HSL
-    const [h, s, l] = this.rgbToHsl(rgb[0], rgb[1], rgb[2])
-
-    // Rotate hue by 160 degrees and keep same lightness
-    const newHue = (h + 160/360) % 1
-    let complementaryRgb = this.hslToRgb(newHue, s, l)
-
-    // Check if the complementary color is too dark (lightness < 0.4)
-    const [compH, compS, compL] = this.rgbToHsl(complementaryRgb[0], complementaryRgb[1], complementaryRgb[2])
-
-    // If complementary color is too dark, make it light instead
-    if (compL < 0.4) {
-      complementaryRgb = this.hslToRgb(newHue, Math.max(s, 0.7), Math.max(compL, 0.8))
-    }
-
-    return complementaryRgb
-  }
-
-  rgbToHex (rgb) {
-    return '#' + rgb.map(x => {
-      const hex = x.toString(16)
-      return hex.length === 1 ? '0' + hex : hex
-    }).join('')
-  }
-
-  overlayCountOnImage (imageDataUrl, count) {
+  /**
+   * Draw the unread badge and presence on an avatar
+   * @param {string} imageDataUrl - Avatar image
+   * @param {number} count - Count to show, 0 for none
+   * @param {object} options - { presence, muted }, muted dims the avatar for quiet hours
+   * @returns {Promise<string>} Composed image as a data URL
+   */
+  overlayCountOnImage (imageDataUrl, count, { presence = null, muted = false } = {}) {
     return new Promise((resolve, reject) => {
       const canvas = document.createElement('canvas')
       const ctx = canvas.getContext('2d')
@@ -753,31 +940,24 @@ export default class TeamsRotating extends Action {
 
       const img = new Image()
       img.onload = () => {
-        // Draw the original image
+        // Draw the original image, grayed out during quiet hours
+        if (muted) ctx.filter = 'grayscale(1) brightness(0.6)'
         ctx.drawImage(img, 0, 0, size, size)
+        ctx.filter = 'none'
+
+        const badgeStyle = this.settings.badgeStyle || 'center'
+        if (count > 0 && badgeStyle !== 'title') {
+          // Pick colors against the part of the avatar the badge covers
+          const region = getBadgeRegion(size, badgeStyle)
+          const regionData = ctx.getImageData(region.x, region.y, region.width, region.height)
+          drawBadge(ctx, size, count, badgeStyle, pickBadgeColors(regionData))
+        }
 
-        if (count > 0) {
-          // Get image data to analyze colors
-          const imageData = ctx.getImageData(0, 0, size, size)
-          const dominantColor = this.getDominantColor(imageData)
-          const complementaryColor = this.getComplementaryColor(dominantColor)
-          const strokeColor = this.rgbToHex(complementaryColor)
-
-          // Draw the number centered in the image
-          ctx.fillStyle = '#ffffff' // White text
-          ctx.font = `bold 144px Arial`
-          ctx.textAlign = 'center'
-          ctx.textBaseline = 'middle'
-
-          // Use complementary color for stroke
-          ctx.globalAlpha = 0.5
-          ctx.strokeStyle = '#000000'
-          ctx.lineWidth = 5
-          ctx.strokeText(count.toString(), size / 2, size / 1.6)
-
-          // White fill
-          ctx.fillText(count.toString(), size / 2, size / 1.6)
-          ctx.globalAlpha = 1
+        // Presence ring or dot, only when the webhook sent one
+        const presenceStyle = this.settings.presenceStyle || 'ring'
+        const presenceColor = getPresenceColor(presence, this.settings.presenceColors)
+        if (presenceColor && presenceStyle !== 'none') {
+          drawPresence(ctx, size, presenceColor, presenceStyle)
         }
 
         resolve(canvas.toDataURL('image/png'))
@@ -787,6 +967,33 @@ export default class TeamsRotating extends Action {
     })
   }
 
+  /**
+   * Draw a pause sign in the bottom-left corner while the carousel is paused
+   * @param {string} imageDataUrl - Image to mark
+   * @returns {Promise<string>} Marked image as a data URL
+   */
+  async markPaused (imageDataUrl) {
+    const img = await this.loadImage(imageDataUrl)
+    const canvas = document.createElement('canvas')
+    const ctx = canvas.getContext('2d')
+    const size = 144 // Stream Deck button size
+
+    canvas.width = size
+    canvas.height = size
+    ctx.drawImage(img, 0, 0, size, size)
+
+    ctx.beginPath()
+    ctx.arc(24, size - 24, 18, 0, Math.PI * 2)
+    ctx.fillStyle = '#464775'
+    ctx.fill()
+
+    ctx.fillStyle = readableTextColor('#464775')
+    ctx.fillRect(16, size - 33, 6, 18)
+    ctx.fillRect(26, size - 33, 6, 18)
+
+    return canvas.toDataURL('image/png')
+  }
+
   generateNoUsersImage () {
     const canvas = document.createElement('canvas')
     const ctx = canvas.getContext('2d')
@@ -800,7 +1007,7 @@ export default class TeamsRotating extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "No Users" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#666666')
     ctx.font = `bold ${size * 0.15}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -822,7 +1029,7 @@ export default class TeamsRotating extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Loading..." text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#0078d4')
     ctx.font = `bold ${size * 0.15}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -844,7 +1051,7 @@ export default class TeamsRotating extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Config Required" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#ff8c00')
     ctx.font = `bold ${size * 0.12}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -867,7 +1074,7 @@ export default class TeamsRotating extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Error" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#d13438')
     ctx.font = `bold ${size * 0.2}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -889,7 +1096,7 @@ export default class TeamsRotating extends Action {
     ctx.fillRect(0, 0, size, size)
 
     // Draw "Invalid Data" text
-    ctx.fillStyle = '#ffffff'
+    ctx.fillStyle = readableTextColor('#c239b3')
     ctx.font = `bold ${size * 0.12}px Arial`
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
@@ -913,24 +1120,36 @@ export default class TeamsRotating extends Action {
 
       if (!avatarUrl || !rotatingUrl) {
         this.setTitle(context, 'URLs\nRequired')
-        setTimeout(() => this.updateDisplay(context), 2000)
+        setTimeout(() => this.updateDisplay(context).catch(error => this.onFetchError(context, error)), 2000)
         return
       }
 
-      // Test rotating webhook
-      const rotatingResponse = await fetch(rotatingUrl)
+      // Test both webhooks, without retries so failures show up right away. The avatar
+      // webhook is asked for the user on the key, with the same headers as a real fetch.
+      const requestOptions = { ...this.getRequestOptions(settings), retries: 0 }
+      const user = this.users[this.currentUserIndex] || { userId: 'test' }
+      const [rotatingResponse, avatarResponse] = await Promise.all([
+        this.streamDeck.http.request(rotatingUrl, requestOptions),
+        this.streamDeck.http.request(this.buildAvatarUrl(avatarUrl, user), requestOptions)
+      ])
       const rotatingOk = rotatingResponse.ok
+      // A 404 only means the user has no photo
+      const avatarOk = avatarResponse.ok || avatarResponse.status === 404
+      this.streamDeck.log(`Test connection: rotating HTTP ${rotatingResponse.status}, avatar HTTP ${avatarResponse.status}`)
 
-      if (rotatingOk) {
+      if (rotatingOk && avatarOk) {
         this.setTitle(context, 'Test OK')
-        setTimeout(() => this.updateDisplay(context), 2000)
-      } else {
+        setTimeout(() => this.updateDisplay(context).catch(error => this.onFetchError(context, error)), 2000)
+      } else if (!rotatingOk) {
         this.setTitle(context, 'Test Fail')
-        setTimeout(() => this.updateDisplay(context), 2000)
+        setTimeout(() => this.updateDisplay(context).catch(error => this.onFetchError(context, error)), 2000)
+      } else {
+        this.setTitle(context, `Avatar\n${avatarResponse.status}`)
+        setTimeout(() => this.updateDisplay(context).catch(error => this.onFetchError(context, error)), 2000)
       }
     } catch (error) {
       this.setTitle(context, 'Test Error')
-      setTimeout(() => this.updateDisplay(context), 2000)
+      setTimeout(() => this.updateDisplay(context).catch(error => this.onFetchError(context, error)), 2000)
     }
   }
 }
@@ -0,0 +1,65 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* eslint-env jest */
+import HttpClient from '../http'
+
+const respond = (status) => Promise.resolve({ status, ok: status >= 200 && status < 300, headers: { get: () => null } })
+
+describe('HttpClient circuit breaker', () => {
+  let http
+
+  beforeEach(() => {
+    http = new HttpClient({ log: () => {} })
+    global.fetch = jest.fn()
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  it('opens after repeated outages and fails fast for the whole webhook', async () => {
+    global.fetch.mockImplementation(() => respond(503))
+
+    for (let i = 0; i < 3; i++) {
+      await http.request(`https://n8n/webhook/avatar?user=${i}`, { retries: 0 })
+    }
+
+    await expect(http.request('https://n8n/webhook/avatar?user=other', { retries: 0 })).rejects.toThrow('Circuit open')
+    expect(global.fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('counts network errors', async () => {
+    global.fetch.mockImplementation(() => Promise.reject(new Error('Failed to fetch')))
+
+    for (let i = 0; i < 3; i++) {
+      await expect(http.request('https://n8n/webhook/users', { retries: 0 })).rejects.toThrow('Failed to fetch')
+    }
+
+    await expect(http.request('https://n8n/webhook/users', { retries: 0 })).rejects.toThrow('Circuit open')
+  })
+
+  it('does not count plain 500s, the webhook is up', async () => {
+    global.fetch.mockImplementation(() => respond(500))
+
+    for (let i = 0; i < 5; i++) {
+      const response = await http.request('https://n8n/webhook/avatar?user=missing', { retries: 0 })
+      expect(response.status).toBe(500)
+    }
+
+    expect(global.fetch).toHaveBeenCalledTimes(5)
+  })
+
+  it('keeps webhooks on the same host apart', async () => {
+    global.fetch.mockImplementation((url) => respond(url.includes('avatar') ? 503 : 200))
+
+    for (let i = 0; i < 3; i++) {
+      await http.request('https://n8n/webhook/avatar', { retries: 0 })
+    }
+
+    const response = await http.request('https://n8n/webhook/messages', { retries: 0 })
+    expect(response.ok).toBe(true)
+  })
+})
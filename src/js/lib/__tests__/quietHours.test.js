@@ -0,0 +1,102 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* eslint-env jest */
+import { parseTimeRanges, resolveQuietHours, isQuietTime } from '../quietHours'
+
+// 2024-01-01 is a Monday
+const at = (day, time) => new Date(`2024-01-0${day}T${time}:00Z`)
+
+const schedule = (settings) => resolveQuietHours({
+  quietEnabled: true,
+  quietDays: [1, 2, 3, 4, 5],
+  quietTimezone: 'UTC',
+  ...settings
+})
+
+describe('parseTimeRanges', () => {
+  it('reads comma and newline separated ranges', () => {
+    expect(parseTimeRanges('09:00-12:00, 13:30 - 17:00\n9:05-9:10')).toEqual([
+      { start: 540, end: 720 },
+      { start: 810, end: 1020 },
+      { start: 545, end: 550 }
+    ])
+  })
+
+  it('keeps overnight ranges as they are', () => {
+    expect(parseTimeRanges('22:00-07:00')).toEqual([{ start: 1320, end: 420 }])
+  })
+
+  it('accepts 24:00 as the end of the day only', () => {
+    expect(parseTimeRanges('18:00-24:00')).toEqual([{ start: 1080, end: 1440 }])
+    expect(parseTimeRanges('18:00-24:30')).toEqual([])
+    expect(parseTimeRanges('25:00-26:00')).toEqual([])
+  })
+
+  it('skips invalid ranges', () => {
+    expect(parseTimeRanges('9-12, 09:60-10:00, 0900-1000, lunch, 12:00-13:00')).toEqual([{ start: 720, end: 780 }])
+    expect(parseTimeRanges('')).toEqual([])
+    expect(parseTimeRanges(undefined)).toEqual([])
+  })
+})
+
+describe('isQuietTime', () => {
+  it('is quiet inside a range on a selected day only', () => {
+    const quiet = schedule({ quietRanges: '09:00-12:00' })
+    expect(isQuietTime(quiet, at(1, '09:00'))).toBe(true)
+    expect(isQuietTime(quiet, at(1, '11:59'))).toBe(true)
+    expect(isQuietTime(quiet, at(1, '12:00'))).toBe(false)
+    expect(isQuietTime(quiet, at(6, '10:00'))).toBe(false)
+  })
+
+  it('lets overnight ranges run into the next day', () => {
+    const quiet = schedule({ quietRanges: '22:00-07:00' })
+    expect(isQuietTime(quiet, at(1, '23:00'))).toBe(true)
+    expect(isQuietTime(quiet, at(2, '06:59'))).toBe(true)
+    expect(isQuietTime(quiet, at(2, '07:00'))).toBe(false)
+    // Friday night carries over into Saturday morning, Sunday night is not quiet
+    expect(isQuietTime(quiet, at(6, '03:00'))).toBe(true)
+    expect(isQuietTime(quiet, at(7, '23:00'))).toBe(false)
+  })
+
+  it('runs until midnight with 24:00', () => {
+    const quiet = schedule({ quietRanges: '18:00-24:00' })
+    expect(isQuietTime(quiet, at(1, '23:59'))).toBe(true)
+    expect(isQuietTime(quiet, at(2, '00:00'))).toBe(false)
+  })
+
+  it('is quiet all day when no ranges are entered', () => {
+    const quiet = schedule({ quietRanges: '' })
+    expect(quiet.allDay).toBe(true)
+    expect(isQuietTime(quiet, at(1, '03:00'))).toBe(true)
+    expect(isQuietTime(quiet, at(7, '03:00'))).toBe(false)
+  })
+
+  it('never treats invalid ranges as all day', () => {
+    const quiet = schedule({ quietRanges: '9-17, 24:30-25:00' })
+    expect(quiet.allDay).toBe(false)
+    expect(quiet.ranges).toEqual([])
+    expect(isQuietTime(quiet, at(1, '10:00'))).toBe(false)
+  })
+
+  it('is never quiet when disabled or without days', () => {
+    expect(isQuietTime(schedule({ quietEnabled: false }), at(1, '10:00'))).toBe(false)
+    expect(isQuietTime(schedule({ quietDays: [] }), at(1, '10:00'))).toBe(false)
+  })
+
+  it('follows the schedule timezone', () => {
+    const quiet = schedule({ quietRanges: '09:00-12:00', quietTimezone: 'Asia/Tokyo' })
+    // 01:00 UTC is 10:00 in Tokyo
+    expect(isQuietTime(quiet, at(1, '01:00'))).toBe(true)
+    expect(isQuietTime(quiet, at(1, '10:00'))).toBe(false)
+  })
+
+  it('uses the global schedule when asked to', () => {
+    const quiet = resolveQuietHours({ useGlobalQuietHours: true, quietEnabled: false }, {
+      quietHours: { quietEnabled: true, quietDays: [1], quietRanges: '09:00-12:00', quietTimezone: 'UTC' }
+    })
+    expect(isQuietTime(quiet, at(1, '10:00'))).toBe(true)
+  })
+})
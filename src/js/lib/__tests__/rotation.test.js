@@ -0,0 +1,55 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* eslint-env jest */
+import { filterUsers, sortUsers, limitUsers } from '../rotation'
+
+const users = [
+  { userId: 'alice@example.com', displayName: 'Alice', count: 1, lastMessageAt: '2024-01-01T10:00:00Z' },
+  { userId: 'bob@example.com', displayName: 'Bob', count: 5 },
+  { userId: 'alerts', displayName: 'Build Alerts', count: 3, fromType: 'bot', lastMessageAt: '2024-01-01T12:00:00Z' },
+  { userId: 'carol@example.com', displayName: 'carol', count: 0, lastMessageAt: '2024-01-01T11:00:00Z' }
+]
+
+const ids = (list) => list.map(user => user.userId)
+
+describe('filterUsers', () => {
+  it('applies the filters', () => {
+    expect(ids(filterUsers(users, { hideBots: true }))).toEqual(['alice@example.com', 'bob@example.com', 'carol@example.com'])
+    expect(ids(filterUsers(users, { minCount: '2' }))).toEqual(['bob@example.com', 'alerts'])
+    expect(ids(filterUsers(users, { includeUsers: '*@example.com' }))).toEqual(['alice@example.com', 'bob@example.com', 'carol@example.com'])
+    expect(ids(filterUsers(users, { excludeUsers: '*alerts*\nBOB' }))).toEqual(['alice@example.com', 'carol@example.com'])
+  })
+
+  it('keeps pinned users whatever the filters say', () => {
+    const settings = { hideBots: true, minCount: 2, includeUsers: 'bob*', excludeUsers: 'Build Alerts', pinnedUsers: 'Build Alerts\ncarol' }
+    expect(ids(filterUsers(users, settings))).toEqual(['bob@example.com', 'alerts', 'carol@example.com'])
+  })
+})
+
+describe('sortUsers', () => {
+  it('sorts by count by default, keeping webhook order on ties', () => {
+    expect(ids(sortUsers([...users, { userId: 'dave', count: 5 }]))).toEqual(['bob@example.com', 'dave', 'alerts', 'alice@example.com', 'carol@example.com'])
+  })
+
+  it('puts users without a timestamp last when sorting by recent', () => {
+    expect(ids(sortUsers(users, { sortMode: 'recent' }))).toEqual(['alerts', 'carol@example.com', 'alice@example.com', 'bob@example.com'])
+  })
+
+  it('sorts names case-insensitively', () => {
+    expect(ids(sortUsers(users, { sortMode: 'alphabetical' }))).toEqual(['alice@example.com', 'bob@example.com', 'alerts', 'carol@example.com'])
+  })
+
+  it('puts pinned users first in the order listed', () => {
+    expect(ids(sortUsers(users, { pinnedUsers: 'carol\nalice*' }))).toEqual(['carol@example.com', 'alice@example.com', 'bob@example.com', 'alerts'])
+  })
+})
+
+describe('limitUsers', () => {
+  it('keeps the first users, or everyone without a limit', () => {
+    expect(ids(limitUsers(users, { maxUsers: '2' }))).toEqual(['alice@example.com', 'bob@example.com'])
+    expect(limitUsers(users, { maxUsers: '' })).toHaveLength(4)
+  })
+})
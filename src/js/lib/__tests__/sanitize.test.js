@@ -0,0 +1,79 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* eslint-env jest */
+import { sanitizeHtml, markdownToHtml, renderMessageBody } from '../sanitize'
+
+describe('sanitizeHtml', () => {
+  it('keeps allowed formatting', () => {
+    expect(sanitizeHtml('<p>Hi <b>there</b>, <em>you</em></p>')).toBe('<p>Hi <b>there</b>, <em>you</em></p>')
+  })
+
+  it('drops javascript: and other unsafe links but keeps their text', () => {
+    expect(sanitizeHtml('<a href="javascript:alert(1)">click</a>')).toBe('click')
+    expect(sanitizeHtml('<a href=" JavaScript:alert(1)">click</a>')).toBe('click')
+    expect(sanitizeHtml('<a href="data:text/html,<script>alert(1)</script>">click</a>')).toBe('click')
+  })
+
+  it('keeps http, https and mailto links, opening them outside the window', () => {
+    expect(sanitizeHtml('<a href="https://example.com/?a=1&b=2" onclick="steal()">site</a>'))
+      .toBe('<a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">site</a>')
+    expect(sanitizeHtml('<a href="mailto:someone@example.com">mail</a>'))
+      .toBe('<a href="mailto:someone@example.com" target="_blank" rel="noopener noreferrer">mail</a>')
+  })
+
+  it('strips event handlers and every other attribute', () => {
+    expect(sanitizeHtml('<b onmouseover="steal()" style="color: red" class="x">bold</b>')).toBe('<b>bold</b>')
+    expect(sanitizeHtml('<div onclick="steal()"><span onload="steal()">text</span></div>')).toBe('<div><span>text</span></div>')
+  })
+
+  it('replaces images with their alt text', () => {
+    expect(sanitizeHtml('Nice <img src="https://tracker.example/pixel.gif" onerror="steal()" alt="👍">')).toBe('Nice 👍')
+    expect(sanitizeHtml('<img src="x" onerror="steal()">')).toBe('')
+    expect(sanitizeHtml('<img alt="<script>">')).toBe('&lt;script&gt;')
+  })
+
+  it('removes scripts, styles and embedded content together with their content', () => {
+    expect(sanitizeHtml('<style>body { display: none }</style>Hello')).toBe('Hello')
+    expect(sanitizeHtml('Hello<script>alert(1)</script>')).toBe('Hello')
+    expect(sanitizeHtml('<iframe src="https://example.com"></iframe><svg onload="steal()"><text>x</text></svg>ok')).toBe('ok')
+  })
+
+  it('unwraps unknown tags, nested or not', () => {
+    expect(sanitizeHtml('<font color="red"><b>bold <marquee>moving</marquee></b></font>')).toBe('<b>bold moving</b>')
+    expect(sanitizeHtml('<div><div><p><i>deep</i></p></div></div>')).toBe('<div><div><p><i>deep</i></p></div></div>')
+  })
+
+  it('turns Teams mentions into spans', () => {
+    expect(sanitizeHtml('Hi <at id="0">Jane</at>')).toBe('Hi <span class="mention">Jane</span>')
+  })
+
+  it('survives malformed markup', () => {
+    expect(sanitizeHtml('<b>unclosed <i>tags')).toBe('<b>unclosed <i>tags</i></b>')
+    expect(sanitizeHtml('<<script>script>alert(1)<</script>/script>')).toBe('&lt;/script&gt;')
+    expect(sanitizeHtml('<img src=x onerror=alert(1)//')).toBe('')
+    expect(sanitizeHtml('a < b > c')).toBe('a &lt; b &gt; c')
+  })
+})
+
+describe('markdownToHtml', () => {
+  it('renders basic formatting', () => {
+    expect(markdownToHtml('**bold** and *italic* and `code`')).toBe('<p><strong>bold</strong> and <em>italic</em> and <code>code</code></p>')
+  })
+
+  it('shows raw HTML as text', () => {
+    expect(markdownToHtml('<img src=x onerror=alert(1)>')).toBe('<p>&lt;img src=x onerror=alert(1)&gt;</p>')
+  })
+
+  it('drops javascript: links', () => {
+    expect(markdownToHtml('[click](javascript:alert(1))')).toBe('<p>click)</p>')
+  })
+})
+
+describe('renderMessageBody', () => {
+  it('escapes plain text', () => {
+    expect(renderMessageBody('<b>"hi"</b>')).toBe('&lt;b&gt;&quot;hi&quot;&lt;/b&gt;')
+  })
+})
@@ -0,0 +1,42 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* eslint-env jest */
+import { expandUrl, hasPlaceholders, AVATAR_SIZE } from '../urlTemplate'
+
+describe('expandUrl', () => {
+  it('encodes placeholder values', () => {
+    expect(expandUrl('https://n8n/avatar/{email}', { email: 'jane+teams@example.com' }))
+      .toBe('https://n8n/avatar/jane%2Bteams%40example.com')
+    expect(expandUrl('https://n8n/avatar?name={displayName}', { displayName: 'Jane Doe & Co/?#' }))
+      .toBe('https://n8n/avatar?name=Jane%20Doe%20%26%20Co%2F%3F%23')
+    expect(expandUrl('https://n8n/avatar/{userId}', { userId: 'ünïcode' }))
+      .toBe('https://n8n/avatar/%C3%BCn%C3%AFcode')
+  })
+
+  it('fills in the key size and leaves missing values empty', () => {
+    expect(expandUrl('https://n8n/avatar/{userId}?size={size}&mail={email}', { userId: 42 }))
+      .toBe(`https://n8n/avatar/42?size=${AVATAR_SIZE}&mail=`)
+  })
+
+  it('appends the encoded fallback parameter to URLs without placeholders', () => {
+    expect(expandUrl('https://n8n/messages', {}, 'user', 'jane+teams@example.com'))
+      .toBe('https://n8n/messages?user=jane%2Bteams%40example.com')
+    expect(expandUrl('https://n8n/messages?token=abc', {}, 'user', 'a&b'))
+      .toBe('https://n8n/messages?token=abc&user=a%26b')
+  })
+
+  it('leaves URLs alone without placeholders or a fallback parameter', () => {
+    expect(expandUrl('https://n8n/users', {})).toBe('https://n8n/users')
+  })
+})
+
+describe('hasPlaceholders', () => {
+  it('gives the same answer on repeated calls', () => {
+    expect(hasPlaceholders('https://n8n/{email}')).toBe(true)
+    expect(hasPlaceholders('https://n8n/{email}')).toBe(true)
+    expect(hasPlaceholders('https://n8n/{unknown}')).toBe(false)
+  })
+})
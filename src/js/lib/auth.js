@@ -0,0 +1,69 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* global btoa, TextEncoder */
+
+export const AUTH_FIELDS = ['authType', 'authToken', 'authUsername', 'authPassword', 'authHeaders']
+
+/**
+ * Pick the auth settings that apply to a button: its own, or the global ones
+ * when the button is set to use global authentication
+ * @param {object} settings - Button settings
+ * @param {object} globalSettings - Plugin global settings
+ * @returns {object} Auth settings ({ authType, authToken, ... })
+ */
+export function resolveAuth (settings = {}, globalSettings = {}) {
+  const source = settings.useGlobalAuth ? (globalSettings.auth || {}) : settings
+  const auth = {}
+
+  for (const field of AUTH_FIELDS) {
+    auth[field] = source[field] || ''
+  }
+
+  return auth
+}
+
+/**
+ * Parse "Header-Name: value" lines into a header object
+ * @param {string} text - One header per line
+ * @returns {object} Headers
+ */
+export function parseHeaderLines (text = '') {
+  const headers = {}
+
+  for (const line of text.split('\n')) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+
+    const key = line.slice(0, separator).trim()
+    const value = line.slice(separator + 1).trim()
+    if (key) headers[key] = value
+  }
+
+  return headers
+}
+
+/**
+ * Build request headers for the given auth settings
+ * @param {object} auth - Auth settings as returned by resolveAuth()
+ * @returns {object} Headers to send with every webhook call
+ */
+export function buildAuthHeaders (auth) {
+  const headers = parseHeaderLines(auth.authHeaders)
+
+  if (auth.authType === 'bearer' && auth.authToken) {
+    headers.Authorization = `Bearer ${auth.authToken}`
+  } else if (auth.authType === 'basic' && auth.authUsername) {
+    headers.Authorization = `Basic ${encodeBase64(`${auth.authUsername}:${auth.authPassword}`)}`
+  }
+
+  return headers
+}
+
+function encodeBase64 (text) {
+  // btoa only handles Latin-1, go through UTF-8 bytes first
+  const bytes = new TextEncoder().encode(text)
+  return btoa(String.fromCharCode(...bytes))
+}
@@ -0,0 +1,152 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* global localStorage */
+
+const STORAGE_PREFIX = 'avatarStore:'
+const INDEX_KEY = `${STORAGE_PREFIX}index`
+
+// Avatars older than this are still shown, but revalidated with the webhook
+const DEFAULT_TTL = 24 * 60 * 60 * 1000
+
+// Total size of stored data URLs, in characters, kept well under the localStorage quota
+const DEFAULT_BUDGET = 3 * 1024 * 1024
+
+/**
+ * Avatar images persisted in the plugin page's localStorage so they survive
+ * Stream Deck restarts. Entries are keyed by user identity, expire after a
+ * TTL and are evicted least-recently-used first once the size budget is hit.
+ */
+export default class AvatarStore {
+  constructor (streamDeck, { ttl = DEFAULT_TTL, budget = DEFAULT_BUDGET } = {}) {
+    this.streamDeck = streamDeck
+    this.ttl = ttl
+    this.budget = budget
+    this.index = this.loadIndex() // identity -> { size, storedAt, usedAt }
+  }
+
+  /**
+   * Look up a stored avatar
+   * @param {string} identity - User identity, e.g. an email or Teams user ID
+   * @returns {object|null} { image, storedAt, isFresh } or null when not stored
+   */
+  get (identity) {
+    const meta = this.index[identity]
+    if (!meta) return null
+
+    const image = this.read(this.entryKey(identity))
+    if (!image) {
+      // Entry vanished behind our back (cleared storage), forget it
+      delete this.index[identity]
+      this.saveIndex()
+      return null
+    }
+
+    meta.usedAt = Date.now()
+    this.saveIndex()
+
+    return {
+      image,
+      storedAt: meta.storedAt,
+      isFresh: Date.now() - meta.storedAt < this.ttl
+    }
+  }
+
+  /**
+   * Store an avatar, evicting least recently used entries to stay within budget
+   * @param {string} identity - User identity
+   * @param {string} image - Avatar as a data URL
+   */
+  set (identity, image) {
+    if (image.length > this.budget) return
+
+    this.remove(identity)
+    this.evict(image.length)
+
+    const now = Date.now()
+    if (!this.write(this.entryKey(identity), image)) {
+      // Quota is shared with anything else in the page, make room and try once more
+      this.evict(image.length * 2)
+      if (!this.write(this.entryKey(identity), image)) {
+        this.streamDeck.log(`Could not persist avatar for ${identity}`)
+        return
+      }
+    }
+
+    this.index[identity] = { size: image.length, storedAt: now, usedAt: now }
+    this.saveIndex()
+  }
+
+  /**
+   * Mark a stored avatar as confirmed current, e.g. after a 304 from the webhook
+   * @param {string} identity - User identity
+   */
+  touch (identity) {
+    const meta = this.index[identity]
+    if (!meta) return
+
+    meta.storedAt = Date.now()
+    meta.usedAt = meta.storedAt
+    this.saveIndex()
+  }
+
+  remove (identity) {
+    if (!this.index[identity]) return
+
+    localStorage.removeItem(this.entryKey(identity))
+    delete this.index[identity]
+    this.saveIndex()
+  }
+
+  evict (incomingSize) {
+    const entries = Object.entries(this.index).sort((a, b) => a[1].usedAt - b[1].usedAt)
+    let total = entries.reduce((sum, [, meta]) => sum + meta.size, 0)
+
+    for (const [identity, meta] of entries) {
+      if (total + incomingSize <= this.budget) break
+
+      localStorage.removeItem(this.entryKey(identity))
+      delete this.index[identity]
+      total -= meta.size
+      this.streamDeck.log(`Evicted cached avatar for ${identity}`)
+    }
+
+    this.saveIndex()
+  }
+
+  entryKey (identity) {
+    return `${STORAGE_PREFIX}entry:${identity}`
+  }
+
+  loadIndex () {
+    try {
+      return JSON.parse(localStorage.getItem(INDEX_KEY)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  saveIndex () {
+    this.write(INDEX_KEY, JSON.stringify(this.index))
+  }
+
+  read (key) {
+    try {
+      return localStorage.getItem(key)
+    } catch (error) {
+      return null
+    }
+  }
+
+  write (key, value) {
+    try {
+      localStorage.setItem(key, value)
+      return true
+    } catch (error) {
+      // QuotaExceededError, or storage disabled altogether
+      return false
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+export const BADGE_STYLES = Object.freeze(['center', 'pill', 'dot', 'title'])
+
+const MAX_DISPLAYED_COUNT = 99
+
+/**
+ * Format an unread count for display, capping it at "99+"
+ * @param {number} count - Unread count
+ * @returns {string} Text to show
+ */
+export function formatCount (count) {
+  return count > MAX_DISPLAYED_COUNT ? `${MAX_DISPLAYED_COUNT}+` : String(count)
+}
+
+/**
+ * Area of the key a badge style covers, used to pick colors that contrast with what's underneath
+ * @param {number} size - Canvas size in pixels
+ * @param {string} style - One of BADGE_STYLES
+ * @returns {object} { x, y, width, height }
+ */
+export function getBadgeRegion (size, style) {
+  if (style === 'pill') {
+    return { x: Math.round(size * 0.45), y: 0, width: Math.round(size * 0.55), height: Math.round(size * 0.36) }
+  }
+  if (style === 'dot') {
+    return { x: Math.round(size * 0.7), y: 0, width: Math.round(size * 0.3), height: Math.round(size * 0.3) }
+  }
+  return { x: Math.round(size * 0.15), y: Math.round(size * 0.25), width: Math.round(size * 0.7), height: Math.round(size * 0.65) }
+}
+
+/**
+ * Draw the unread badge onto an avatar canvas. The 'title' style draws
+ * nothing, the count goes into the key title instead.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with the avatar already drawn
+ * @param {number} size - Canvas size in pixels
+ * @param {number} count - Unread count, nothing is drawn when 0
+ * @param {string} style - One of BADGE_STYLES
+ * @param {object} colors - { accent, onAccent, text, textAlpha } as returned by pickBadgeColors()
+ */
+export function drawBadge (ctx, size, count, style, colors) {
+  if (count <= 0 || style === 'title') return
+
+  ctx.save()
+
+  if (style === 'pill') {
+    drawPill(ctx, size, formatCount(count), colors)
+  } else if (style === 'dot') {
+    drawDot(ctx, size, colors)
+  } else {
+    drawCenteredNumber(ctx, size, formatCount(count), colors)
+  }
+
+  ctx.restore()
+}
+
+function drawCenteredNumber (ctx, size, text, colors) {
+  // Shrink longer counts so "99+" still fits the key
+  const fontSize = text.length === 1 ? size : size * 1.4 / text.length
+
+  ctx.font = `bold ${fontSize}px Arial`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+
+  // See-through number outlined in the accent color, opaque enough to stay readable
+  ctx.globalAlpha = colors.textAlpha
+  ctx.strokeStyle = colors.accent
+  ctx.lineWidth = 5
+  ctx.strokeText(text, size / 2, size / 1.6)
+
+  ctx.fillStyle = colors.text
+  ctx.fillText(text, size / 2, size / 1.6)
+}
+
+function drawPill (ctx, size, text, colors) {
+  const height = size * 0.3
+  const fontSize = height * 0.7
+  const padding = height * 0.3
+  const margin = 6
+
+  ctx.font = `bold ${fontSize}px Arial`
+  const width = Math.max(height, ctx.measureText(text).width + padding * 2)
+  const x = size - width - margin
+  const y = margin
+  const radius = height / 2
+
+  ctx.beginPath()
+  ctx.moveTo(x + radius, y)
+  ctx.arcTo(x + width, y, x + width, y + height, radius)
+  ctx.arcTo(x + width, y + height, x, y + height, radius)
+  ctx.arcTo(x, y + height, x, y, radius)
+  ctx.arcTo(x, y, x + width, y, radius)
+  ctx.closePath()
+
+  ctx.fillStyle = colors.accent
+  ctx.fill()
+  ctx.lineWidth = 2
+  ctx.strokeStyle = colors.onAccent
+  ctx.stroke()
+
+  ctx.fillStyle = colors.onAccent
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(text, x + width / 2, y + height / 2 + 1)
+}
+
+function drawDot (ctx, size, colors) {
+  const radius = size * 0.1
+  const center = size - radius - 8
+
+  ctx.beginPath()
+  ctx.arc(center, radius + 8, radius, 0, Math.PI * 2)
+  ctx.fillStyle = colors.accent
+  ctx.fill()
+  ctx.lineWidth = 3
+  ctx.strokeStyle = colors.onAccent
+  ctx.stroke()
+}
@@ -0,0 +1,223 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+// WCAG 2.x minimums: 4.5:1 for text, 3:1 for graphical objects
+export const MIN_TEXT_CONTRAST = 4.5
+export const MIN_GRAPHIC_CONTRAST = 3
+
+const BLACK = [0, 0, 0]
+const WHITE = [255, 255, 255]
+
+export function rgbToHex (rgb) {
+  return '#' + rgb.map(x => {
+    const hex = Math.round(x).toString(16)
+    return hex.length === 1 ? '0' + hex : hex
+  }).join('')
+}
+
+export function hexToRgb (hex) {
+  let value = hex.replace('#', '')
+  if (value.length === 3) {
+    value = value.split('').map(char => char + char).join('')
+  }
+  const number = parseInt(value, 16)
+  return [(number >> 16) & 255, (number >> 8) & 255, number & 255]
+}
+
+export function rgbToHsl (r, g, b) {
+  r /= 255
+  g /= 255
+  b /= 255
+
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  let h, s
+  const l = (max + min) / 2
+
+  if (max === min) {
+    h = s = 0 // achromatic
+  } else {
+    const d = max - min
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+    switch (max) {
+      case r: h = (g - b) / d + (g < b ? 6 : 0); break
+      case g: h = (b - r) / d + 2; break
+      case b: h = (r - g) / d + 4; break
+    }
+    h /= 6
+  }
+
+  return [h, s, l]
+}
+
+export function hslToRgb (h, s, l) {
+  let r, g, b
+
+  if (s === 0) {
+    r = g = b = l // achromatic
+  } else {
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1
+      if (t > 1) t -= 1
+      if (t < 1 / 6) return p + (q - p) * 6 * t
+      if (t < 1 / 2) return q
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6
+      return p
+    }
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s
+    const p = 2 * l - q
+    r = hue2rgb(p, q, h + 1 / 3)
+    g = hue2rgb(p, q, h)
+    b = hue2rgb(p, q, h - 1 / 3)
+  }
+
+  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)]
+}
+
+/**
+ * WCAG relative luminance of an sRGB color
+ * @param {number[]} rgb - [r, g, b] in 0-255
+ * @returns {number} Luminance between 0 (black) and 1 (white)
+ */
+export function relativeLuminance (rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const c = channel / 255
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+  })
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {number[]} a - [r, g, b]
+ * @param {number[]} b - [r, g, b]
+ * @returns {number} Ratio between 1 and 21
+ */
+export function contrastRatio (a, b) {
+  const la = relativeLuminance(a)
+  const lb = relativeLuminance(b)
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05)
+}
+
+/**
+ * Black or white, whichever reads better on the given background
+ * @param {number[]|string} background - [r, g, b] or hex color
+ * @returns {string} '#000000' or '#ffffff'
+ */
+export function readableTextColor (background) {
+  const rgb = typeof background === 'string' ? hexToRgb(background) : background
+  return contrastRatio(rgb, BLACK) >= contrastRatio(rgb, WHITE) ? '#000000' : '#ffffff'
+}
+
+/**
+ * Most common color in an image, sampling a pixel grid and quantizing
+ * @param {ImageData} imageData - Pixels to analyze
+ * @returns {number[]} [r, g, b]
+ */
+export function getDominantColor (imageData) {
+  const data = imageData.data
+  const width = imageData.width
+  const height = imageData.height
+  const colorCount = {}
+  let maxCount = 0
+  let dominantColor = [128, 128, 128] // Default to gray
+
+  // Sample pixels in a regular grid (every 8 pixels for performance)
+  const step = width >= 32 && height >= 32 ? 8 : 1
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const index = (y * width + x) * 4
+      const r = data[index]
+      const g = data[index + 1]
+      const b = data[index + 2]
+      const alpha = data[index + 3]
+
+      // Skip transparent pixels
+      if (alpha < 128) continue
+
+      // Quantize to reduce similar colors
+      const quantized = [Math.floor(r / 32) * 32, Math.floor(g / 32) * 32, Math.floor(b / 32) * 32]
+      const key = quantized.join(',')
+
+      colorCount[key] = (colorCount[key] || 0) + 1
+
+      if (colorCount[key] > maxCount) {
+        maxCount = colorCount[key]
+        dominantColor = quantized
+      }
+    }
+  }
+
+  return dominantColor
+}
+
+export function getComplementaryColor (rgb) {
+  const [h, s, l] = rgbToHsl(rgb[0], rgb[1], rgb[2])
+
+  // Rotate hue by 160 degrees and keep same lightness
+  const newHue = (h + 160 / 360) % 1
+  let complementaryRgb = hslToRgb(newHue, s, l)
+
+  // If complementary color is too dark, make it light instead
+  const [, , compL] = rgbToHsl(complementaryRgb[0], complementaryRgb[1], complementaryRgb[2])
+  if (compL < 0.4) {
+    complementaryRgb = hslToRgb(newHue, Math.max(s, 0.7), Math.max(compL, 0.8))
+  }
+
+  return complementaryRgb
+}
+
+/**
+ * Shift a color's lightness away from a background until it reaches a minimum contrast
+ * @param {number[]} rgb - Color to adjust
+ * @param {number[]} background - Background it is drawn on
+ * @param {number} minContrast - Required contrast ratio
+ * @returns {number[]} Adjusted [r, g, b], black or white if no shade of the hue is enough
+ */
+export function ensureContrast (rgb, background, minContrast) {
+  if (contrastRatio(rgb, background) >= minContrast) return rgb
+
+  const [h, s, l] = rgbToHsl(rgb[0], rgb[1], rgb[2])
+  const direction = relativeLuminance(background) > 0.18 ? -1 : 1
+
+  for (let lightness = l; lightness >= 0 && lightness <= 1; lightness += direction * 0.05) {
+    const candidate = hslToRgb(h, s, lightness)
+    if (contrastRatio(candidate, background) >= minContrast) return candidate
+  }
+
+  return direction < 0 ? BLACK : WHITE
+}
+
+/**
+ * Colors for a badge drawn over a region of an avatar, meeting WCAG minimums:
+ * the accent stands out from the region, text on the accent is readable, and
+ * text drawn straight onto the region gets enough opacity to be readable.
+ * @param {ImageData} regionData - Pixels under the badge
+ * @returns {object} { accent, onAccent, text, textAlpha } with hex colors
+ */
+export function pickBadgeColors (regionData) {
+  const background = getDominantColor(regionData)
+  const accent = ensureContrast(getComplementaryColor(background), background, MIN_GRAPHIC_CONTRAST)
+  const text = hexToRgb(readableTextColor(background))
+
+  // Keep the number see-through where possible, but never below the text minimum
+  let textAlpha = 0.5
+  while (textAlpha < 1 && contrastRatio(blend(text, background, textAlpha), background) < MIN_TEXT_CONTRAST) {
+    textAlpha = Math.min(1, textAlpha + 0.1)
+  }
+
+  return {
+    accent: rgbToHex(accent),
+    onAccent: readableTextColor(accent),
+    text: rgbToHex(text),
+    textAlpha
+  }
+}
+
+function blend (foreground, background, alpha) {
+  return foreground.map((channel, i) => channel * alpha + background[i] * (1 - alpha))
+}
@@ -0,0 +1,248 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+/**
+ * Plugin-wide polling of webhook URLs.
+ *
+ * Buttons subscribe to a resolved URL instead of running their own timers.
+ * Each URL is fetched once per cycle, using the shortest interval any
+ * subscriber asked for, and the result is fanned out to every subscriber.
+ * Buttons only share a poll when they send the same headers, so one button's
+ * credentials are never used for another's requests.
+ * Polling for a URL stops as soon as its last subscriber goes away.
+ *
+ * When a poll fails shortly after a successful one, subscribers are told the
+ * data is stale instead of getting an error, so keys keep showing the last
+ * good state through brief webhook outages.
+ */
+
+// How long the last good data may be shown before failures surface as errors
+const MAX_STALE_AGE = 5 * 60 * 1000
+
+// Returned by fetch() when the webhook answered 304 Not Modified
+const NOT_MODIFIED = Symbol('notModified')
+
+export default class DataService {
+  constructor (streamDeck, http) {
+    this.streamDeck = streamDeck
+    this.http = http
+    this.subscriptions = new Map() // key -> { url, subscribers, timer, interval, inFlight, lastData, lastSuccessAt }
+  }
+
+  /**
+   * Subscribe a button context to a URL
+   * @param {string} url - Fully resolved webhook URL
+   * @param {string} context - Stream Deck context of the subscribing button
+   * @param {number} interval - Requested polling interval in milliseconds
+   * @param {object} handlers - { onData (data), onStale (error), onError (error) }
+   * @param {object} requestOptions - { timeout, retries, headers } passed to the HTTP client
+   * @returns {string} Subscription key, to pass to unsubscribe(), refresh() and invalidate()
+   */
+  subscribe (url, context, interval, handlers, requestOptions = {}) {
+    const key = getSubscriptionKey(url, requestOptions.headers)
+    let subscription = this.subscriptions.get(key)
+    const isNew = !subscription
+
+    if (isNew) {
+      subscription = {
+        url,
+        subscribers: new Map(),
+        timer: null,
+        interval: null,
+        inFlight: null,
+        lastData: undefined,
+        lastSuccessAt: 0,
+        isStale: false,
+        skipConditional: false
+      }
+      this.subscriptions.set(key, subscription)
+    }
+
+    subscription.subscribers.set(context, { interval, handlers, requestOptions })
+    this.reschedule(key)
+
+    if (isNew) {
+      this.poll(key)
+    } else if (subscription.lastData !== undefined) {
+      // Late joiners get the last known data right away instead of waiting a cycle
+      this.notify(handlers, 'onData', subscription.lastData)
+    }
+
+    return key
+  }
+
+  /**
+   * Remove a button context from a subscription, stopping the poll if nobody is left
+   * @param {string} key - Key returned by subscribe()
+   * @param {string} context - Stream Deck context of the button
+   */
+  unsubscribe (key, context) {
+    const subscription = this.subscriptions.get(key)
+    if (!subscription) return
+
+    subscription.subscribers.delete(context)
+
+    if (subscription.subscribers.size === 0) {
+      clearInterval(subscription.timer)
+      this.subscriptions.delete(key)
+      this.streamDeck.log(`Stopped polling ${subscription.url}`)
+      return
+    }
+
+    this.reschedule(key)
+  }
+
+  /**
+   * Fetch a subscription now, outside of its regular cycle
+   * @param {string} key - Key returned by subscribe()
+   */
+  refresh (key) {
+    if (this.subscriptions.has(key)) {
+      return this.poll(key)
+    }
+  }
+
+  /**
+   * Make the next poll of a URL a full request instead of a conditional one,
+   * so subscribers get the data again even when the webhook would answer 304.
+   * Used after a subscriber changed its copy of the data locally.
+   * @param {string} key - Key returned by subscribe()
+   */
+  invalidate (key) {
+    const subscription = this.subscriptions.get(key)
+    if (subscription) {
+      subscription.skipConditional = true
+    }
+  }
+
+  refreshAll () {
+    for (const key of this.subscriptions.keys()) {
+      this.poll(key)
+    }
+  }
+
+  reschedule (key) {
+    const subscription = this.subscriptions.get(key)
+    const intervals = [...subscription.subscribers.values()].map(subscriber => subscriber.interval)
+    const interval = Math.min(...intervals)
+
+    if (interval === subscription.interval && subscription.timer) return
+
+    clearInterval(subscription.timer)
+    subscription.interval = interval
+    subscription.timer = setInterval(() => this.poll(key), interval)
+  }
+
+  poll (key) {
+    const subscription = this.subscriptions.get(key)
+    if (!subscription) return
+
+    const { url } = subscription
+
+    // Don't stack requests if the previous one is still running
+    if (subscription.inFlight) return subscription.inFlight
+
+    // Only ask for a 304 when there is data to fall back on
+    const requestOptions = {
+      ...this.getRequestOptions(subscription),
+      conditional: subscription.lastData !== undefined && !subscription.skipConditional
+    }
+
+    subscription.inFlight = this.fetch(url, requestOptions)
+      .then(data => {
+        subscription.lastSuccessAt = Date.now()
+        if (!requestOptions.conditional) {
+          subscription.skipConditional = false
+        }
+
+        if (data === NOT_MODIFIED) {
+          // Nothing changed, subscribers only need a nudge if they were showing stale data
+          if (subscription.isStale) {
+            this.broadcast(key, 'onData', subscription.lastData)
+          }
+        } else {
+          subscription.lastData = data
+          this.broadcast(key, 'onData', data)
+        }
+
+        subscription.isStale = false
+      })
+      .catch(error => {
+        this.streamDeck.log(`Error polling ${url}: ${error.message}`)
+        const isShortOutage = subscription.lastData !== undefined && Date.now() - subscription.lastSuccessAt < MAX_STALE_AGE
+        subscription.isStale = isShortOutage
+        this.broadcast(key, isShortOutage ? 'onStale' : 'onError', error)
+      })
+      .finally(() => {
+        subscription.inFlight = null
+      })
+
+    return subscription.inFlight
+  }
+
+  /**
+   * Most lenient options across subscribers, like the interval picks the shortest.
+   * Headers are the same for every subscriber, they are part of the subscription key.
+   */
+  getRequestOptions (subscription) {
+    const options = [...subscription.subscribers.values()].map(subscriber => subscriber.requestOptions)
+    const timeouts = options.map(option => option.timeout).filter(Number.isFinite)
+    const retries = options.map(option => option.retries).filter(Number.isFinite)
+    const headers = { ...options[0].headers }
+
+    return {
+      ...(timeouts.length > 0 && { timeout: Math.max(...timeouts) }),
+      ...(retries.length > 0 && { retries: Math.max(...retries) }),
+      headers
+    }
+  }
+
+  async fetch (url, requestOptions) {
+    const response = await this.http.request(url, requestOptions)
+    if (response.status === 304) {
+      return NOT_MODIFIED
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+    return response.json()
+  }
+
+  broadcast (key, type, value) {
+    // The subscription may have been dropped while the request was in flight
+    const subscription = this.subscriptions.get(key)
+    if (!subscription) return
+
+    for (const { handlers } of subscription.subscribers.values()) {
+      this.notify(handlers, type, value)
+    }
+  }
+
+  notify (handlers, type, value) {
+    if (typeof handlers[type] !== 'function') return
+
+    const log = (error) => this.streamDeck.log(`Error in data subscriber: ${error.message}`)
+
+    try {
+      // Handlers are usually async, their rejections must not go unhandled either
+      const result = handlers[type](value)
+      if (result && typeof result.catch === 'function') {
+        result.catch(log)
+      }
+    } catch (error) {
+      log(error)
+    }
+  }
+}
+
+// URL plus the request headers, with header names in a stable order and case
+function getSubscriptionKey (url, headers = {}) {
+  const entries = Object.entries(headers || {})
+    .map(([name, value]) => [name.toLowerCase(), String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+
+  return `${url} ${JSON.stringify(entries)}`
+}
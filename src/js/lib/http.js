@@ -0,0 +1,195 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* global fetch, AbortController */
+
+const DEFAULT_TIMEOUT = 10000
+const DEFAULT_RETRIES = 2
+const RETRY_BASE_DELAY = 500
+
+// Consecutive failures before a webhook is considered down, and how long to wait before trying it again
+const BREAKER_THRESHOLD = 3
+const BREAKER_COOLDOWN = 30000
+
+export class HttpError extends Error {
+  constructor (message, status = null) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
+
+/**
+ * Thin wrapper around fetch used for every webhook call.
+ *
+ * Adds a per-request timeout, retries with exponential backoff for network
+ * errors and 5xx/429 responses, and a per-webhook circuit breaker so an n8n
+ * outage fails fast instead of piling up hanging requests. Breakers are keyed
+ * by URL without its query string, since all webhooks usually live on the same
+ * n8n host. Only timeouts, network errors and 429/502/503/504 count towards a
+ * breaker: a webhook answering 500 for one request (say, a missing avatar
+ * photo) is up, and must not be cut off for every other user.
+ *
+ * Conditional requests remember the ETag/Last-Modified of each URL and send
+ * them back, so unchanged webhooks can answer with a cheap 304.
+ */
+export default class HttpClient {
+  constructor (streamDeck) {
+    this.streamDeck = streamDeck
+    this.breakers = new Map() // webhook (URL without query) -> { failures, openedAt }
+    this.validators = new Map() // url -> { etag, lastModified }
+  }
+
+  /**
+   * Fetch a URL with timeout, retries and circuit breaking
+   * @param {string} url - URL to request
+   * @param {object} options - fetch options plus { timeout, retries, conditional }
+   * @returns {Promise<Response>} Response for anything that isn't retryable, check `ok` as usual.
+   *   Conditional requests may resolve with a 304, which is not `ok`.
+   */
+  async request (url, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, conditional = false, ...fetchOptions } = options
+    const webhook = this.getBreakerKey(url)
+
+    if (conditional) {
+      // Bypass the browser cache, it would turn our 304s back into 200s
+      fetchOptions.cache = 'no-store'
+      fetchOptions.headers = { ...fetchOptions.headers, ...this.getValidatorHeaders(url) }
+    }
+
+    if (this.isOpen(webhook)) {
+      throw new HttpError(`Circuit open for ${webhook}`)
+    }
+
+    let lastError = null
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await this.sleep(RETRY_BASE_DELAY * Math.pow(2, attempt - 1) + Math.random() * RETRY_BASE_DELAY)
+      }
+
+      try {
+        const response = await this.fetchWithTimeout(url, fetchOptions, timeout)
+
+        if (this.isRetryableStatus(response.status)) {
+          lastError = new HttpError(`HTTP ${response.status}`, response.status)
+          // Out of attempts, hand the response back so callers can inspect it
+          if (attempt === retries) {
+            if (this.isOutageStatus(response.status)) {
+              this.recordFailure(webhook)
+            } else {
+              this.recordSuccess(webhook)
+            }
+            return response
+          }
+          continue
+        }
+
+        this.recordSuccess(webhook)
+        if (response.ok) {
+          this.storeValidators(url, response)
+        }
+        return response
+      } catch (error) {
+        lastError = error
+      }
+    }
+
+    this.recordFailure(webhook)
+    throw lastError
+  }
+
+  async fetchWithTimeout (url, options, timeout) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+
+    try {
+      return await fetch(url, { ...options, signal: controller.signal })
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new HttpError(`Request timed out after ${timeout}ms`)
+      }
+      throw error
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  getValidatorHeaders (url) {
+    const validator = this.validators.get(url)
+    const headers = {}
+
+    if (validator && validator.etag) headers['If-None-Match'] = validator.etag
+    if (validator && validator.lastModified) headers['If-Modified-Since'] = validator.lastModified
+
+    return headers
+  }
+
+  storeValidators (url, response) {
+    const etag = response.headers.get('ETag')
+    const lastModified = response.headers.get('Last-Modified')
+
+    if (etag || lastModified) {
+      this.validators.set(url, { etag, lastModified })
+    } else {
+      this.validators.delete(url)
+    }
+  }
+
+  isRetryableStatus (status) {
+    return status === 429 || status >= 500
+  }
+
+  // Statuses that mean the webhook itself is down or overloaded, not that one request failed
+  isOutageStatus (status) {
+    return [429, 502, 503, 504].includes(status)
+  }
+
+  isOpen (webhook) {
+    const breaker = this.breakers.get(webhook)
+    if (!breaker || breaker.openedAt === null) return false
+
+    // Half-open: after the cooldown let a single request through to probe the webhook
+    if (Date.now() - breaker.openedAt >= BREAKER_COOLDOWN) {
+      breaker.openedAt = Date.now()
+      return false
+    }
+
+    return true
+  }
+
+  recordSuccess (webhook) {
+    const breaker = this.breakers.get(webhook)
+    if (breaker && breaker.openedAt !== null) {
+      this.streamDeck.log(`Circuit closed for ${webhook}`)
+    }
+    this.breakers.delete(webhook)
+  }
+
+  recordFailure (webhook) {
+    const breaker = this.breakers.get(webhook) || { failures: 0, openedAt: null }
+    breaker.failures++
+
+    if (breaker.failures >= BREAKER_THRESHOLD && breaker.openedAt === null) {
+      breaker.openedAt = Date.now()
+      this.streamDeck.log(`Circuit opened for ${webhook} after ${breaker.failures} failures`)
+    }
+
+    this.breakers.set(webhook, breaker)
+  }
+
+  // Query strings usually carry the user (?user=, ?userId=), one breaker covers them all
+  getBreakerKey (url) {
+    try {
+      const { origin, pathname } = new URL(url)
+      return origin + pathname
+    } catch (error) {
+      return url
+    }
+  }
+
+  sleep (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+  }
+}
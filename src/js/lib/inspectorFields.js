@@ -0,0 +1,102 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+import { parseTimeRanges } from './quietHours'
+
+/**
+ * Fill the auth fields of a property inspector
+ * @param {object} auth - Button settings, or the global auth settings
+ */
+export function loadAuthFields (auth) {
+  document.getElementById('authType').value = auth.authType || 'none'
+  document.getElementById('authToken').value = auth.authToken || ''
+  document.getElementById('authUsername').value = auth.authUsername || ''
+  document.getElementById('authPassword').value = auth.authPassword || ''
+  document.getElementById('authHeaders').value = auth.authHeaders || ''
+  updateAuthVisibility()
+}
+
+/**
+ * Read the auth fields of a property inspector
+ * @returns {object} { authType, authToken, authUsername, authPassword, authHeaders }
+ */
+export function readAuthFields () {
+  return {
+    authType: document.getElementById('authType').value,
+    authToken: document.getElementById('authToken').value.trim(),
+    authUsername: document.getElementById('authUsername').value.trim(),
+    authPassword: document.getElementById('authPassword').value,
+    authHeaders: document.getElementById('authHeaders').value.trim()
+  }
+}
+
+/**
+ * Only show the credential fields the selected auth type uses
+ */
+export function updateAuthVisibility () {
+  const authType = document.getElementById('authType').value
+  document.getElementById('authTokenRow').style.display = authType === 'bearer' ? '' : 'none'
+  document.getElementById('authUsernameRow').style.display = authType === 'basic' ? '' : 'none'
+  document.getElementById('authPasswordRow').style.display = authType === 'basic' ? '' : 'none'
+}
+
+/**
+ * Fill the quiet hours fields of a property inspector
+ * @param {object} quietHours - Button settings, or the global quiet hours settings
+ */
+export function loadQuietHoursFields (quietHours) {
+  // Weekdays by default, the days are only used once quiet hours are turned on
+  const days = Array.isArray(quietHours.quietDays) ? quietHours.quietDays : [1, 2, 3, 4, 5]
+  document.getElementById('quietEnabled').checked = quietHours.quietEnabled || false
+  for (let day = 0; day < 7; day++) {
+    document.getElementById(`quietDay${day}`).checked = days.includes(day)
+  }
+  document.getElementById('quietRanges').value = quietHours.quietRanges || ''
+  document.getElementById('quietTimezone').value = quietHours.quietTimezone || ''
+  document.getElementById('quietHideCount').checked = quietHours.quietHideCount || false
+}
+
+/**
+ * Read the quiet hours fields of a property inspector
+ * @returns {object} { quietEnabled, quietDays, quietRanges, quietTimezone, quietHideCount }
+ */
+export function readQuietHoursFields () {
+  const quietDays = []
+  for (let day = 0; day < 7; day++) {
+    if (document.getElementById(`quietDay${day}`).checked) quietDays.push(day)
+  }
+
+  return {
+    quietEnabled: document.getElementById('quietEnabled').checked,
+    quietDays,
+    quietRanges: document.getElementById('quietRanges').value.trim(),
+    quietTimezone: document.getElementById('quietTimezone').value.trim(),
+    quietHideCount: document.getElementById('quietHideCount').checked
+  }
+}
+
+/**
+ * Check quiet hours before they are saved
+ * @param {object} quietHours - Fields as returned by readQuietHoursFields()
+ * @returns {string|null} Error message, or null when the schedule is usable
+ */
+export function validateQuietHours (quietHours) {
+  for (const range of quietHours.quietRanges.split(/[\n,]/)) {
+    // Checked with the plugin's own parser, which skips the ranges it can't read
+    if (range.trim() && parseTimeRanges(range).length === 0) {
+      return `Quiet time "${range.trim()}" should look like 09:00-12:00`
+    }
+  }
+
+  if (quietHours.quietTimezone) {
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: quietHours.quietTimezone })
+    } catch (error) {
+      return `Unknown timezone "${quietHours.quietTimezone}"`
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,86 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+/**
+ * Bring a message from the messages webhook into one shape. Only `title` and
+ * `body` are required, `id`, `from`, `chatId` and `createdAt` are optional.
+ * @param {object} message - Message as sent by the webhook
+ * @returns {object} { id, title, body, from, chatId, createdAt }
+ */
+export function normalizeMessage (message) {
+  return {
+    id: message.id != null ? String(message.id) : null,
+    title: message.title || 'No Title',
+    body: message.body || 'No Content',
+    from: normalizeSender(message.from),
+    chatId: message.chatId != null ? String(message.chatId) : null,
+    createdAt: parseTimestamp(message.createdAt)
+  }
+}
+
+/**
+ * Stable identity for a message from the webhook: its `id`, or a hash of its
+ * content for webhooks that don't send IDs
+ * @param {object} message - Message as sent by the webhook
+ * @returns {string} Key, unique among the messages of one poll
+ */
+export function getMessageKey (message) {
+  if (message.id != null) return String(message.id)
+
+  const from = message.from && typeof message.from === 'object' ? message.from.name || message.from.email : message.from
+  return `hash:${hashString(JSON.stringify([message.title, message.body, from, message.chatId, message.createdAt]))}`
+}
+
+/**
+ * Sort messages newest first. Messages without a timestamp keep their
+ * webhook order, after the ones that have one.
+ * @param {object[]} messages - Normalized messages
+ * @returns {object[]} New sorted array
+ */
+export function sortNewestFirst (messages) {
+  return [...messages].sort((a, b) => {
+    if (a.createdAt === null || b.createdAt === null) {
+      return (a.createdAt === null) - (b.createdAt === null)
+    }
+    return b.createdAt - a.createdAt
+  })
+}
+
+// `from` may be a plain name or { name, email, avatarUrl }
+function normalizeSender (from) {
+  if (!from) return null
+
+  if (typeof from === 'string') {
+    return { name: from, avatarUrl: null }
+  }
+
+  const name = from.name || from.displayName || from.email
+  if (!name) return null
+
+  return { name: String(name), avatarUrl: from.avatarUrl || from.avatar || null }
+}
+
+// 32-bit FNV-1a, plenty to tell apart the messages of a single user
+function hashString (text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16)
+}
+
+/**
+ * Parse an ISO date string or millisecond timestamp from a webhook
+ * @param {string|number} value - Timestamp, may be missing
+ * @returns {number|null} Milliseconds since the epoch, null when missing or invalid
+ */
+export function parseTimestamp (value) {
+  if (value === undefined || value === null || value === '') return null
+
+  const timestamp = typeof value === 'number' ? value : Date.parse(value)
+  return Number.isFinite(timestamp) ? timestamp : null
+}
@@ -0,0 +1,106 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+const MESSAGES_PAGE = 'messages.html'
+
+/**
+ * Live messages windows, one per button. Windows are opened from the plugin
+ * page with window.open() and exchange postMessage events with it: the page
+ * announces itself with 'messagesPage:ready', receives 'messagesPage:update'
+ * whenever the button's messages change, and sends 'messagesPage:action'
+ * which is handed to the owning action's onMessagesPageAction(). Each action
+ * is answered with a 'messagesPage:result' carrying the same id.
+ *
+ * Plugin pages are file:// URLs with an opaque origin, so incoming events are
+ * matched by the window they come from rather than by origin.
+ */
+export default class MessagesWindows {
+  constructor (streamDeck) {
+    this.streamDeck = streamDeck
+    this.windows = new Map() // context -> { window, action }
+
+    window.addEventListener('message', (event) => this.onMessage(event))
+  }
+
+  /**
+   * Open the messages window for a button, or bring an open one to the front
+   * @param {string} context - Button context
+   * @param {object} action - Action instance providing getMessagesPageState() and onMessagesPageAction()
+   */
+  open (context, action) {
+    const existing = this.windows.get(context)
+    if (existing && !existing.window.closed) {
+      existing.action = action
+      existing.window.focus()
+      this.update(context)
+      return
+    }
+
+    const page = window.open(`${MESSAGES_PAGE}?context=${encodeURIComponent(context)}`, `messages-${context}`)
+    if (!page) {
+      this.streamDeck.log('Could not open the messages window')
+      return
+    }
+
+    // The first update is sent once the page reports it is ready
+    this.windows.set(context, { window: page, action })
+  }
+
+  close (context) {
+    const entry = this.windows.get(context)
+    if (!entry) return
+
+    if (!entry.window.closed) entry.window.close()
+    this.windows.delete(context)
+  }
+
+  /**
+   * Push the button's current messages to its window, if one is open
+   * @param {string} context - Button context
+   */
+  update (context) {
+    const entry = this.getEntry(context)
+    if (!entry) return
+
+    this.post(entry, { type: 'messagesPage:update', context, ...entry.action.getMessagesPageState() })
+  }
+
+  async onMessage (event) {
+    const data = event.data
+    if (!data || typeof data.type !== 'string' || !data.type.startsWith('messagesPage:')) return
+
+    const entry = this.getEntry(data.context)
+    if (!entry || event.source !== entry.window) return
+
+    if (data.type === 'messagesPage:ready') {
+      this.update(data.context)
+    } else if (data.type === 'messagesPage:action') {
+      try {
+        await entry.action.onMessagesPageAction(data.context, data.action, data.payload || {})
+        this.post(entry, { type: 'messagesPage:result', context: data.context, id: data.id, ok: true })
+      } catch (error) {
+        this.streamDeck.log(`Messages window action ${data.action} failed: ${error.message}`)
+        this.post(entry, { type: 'messagesPage:result', context: data.context, id: data.id, ok: false, error: error.message })
+      }
+    }
+  }
+
+  getEntry (context) {
+    const entry = this.windows.get(context)
+    if (!entry) return null
+
+    if (entry.window.closed) {
+      this.windows.delete(context)
+      return null
+    }
+
+    return entry
+  }
+
+  post (entry, message) {
+    entry.window.postMessage(message, '*')
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+// Teams presence colors, keyed by normalized Graph availability
+export const DEFAULT_PRESENCE_COLORS = Object.freeze({
+  available: '#6bb700',
+  availableidle: '#6bb700',
+  busy: '#c50f1f',
+  busyidle: '#c50f1f',
+  donotdisturb: '#c50f1f',
+  inacall: '#c50f1f',
+  inameeting: '#c50f1f',
+  presenting: '#c50f1f',
+  away: '#ffaa44',
+  berightback: '#ffaa44',
+  offline: '#8a8886',
+  presenceunknown: '#8a8886'
+})
+
+/**
+ * Normalize a presence value so "Do Not Disturb", "DoNotDisturb" and "do_not_disturb" match
+ * @param {string} presence - Presence as sent by the webhook
+ * @returns {string} Normalized key
+ */
+export function normalizePresence (presence) {
+  return String(presence).toLowerCase().replace(/[^a-z]/g, '')
+}
+
+/**
+ * Parse color overrides from "Presence=#color" lines
+ * @param {string} text - One override per line, e.g. "Busy=#ff0000"
+ * @returns {object} Overrides keyed by normalized presence
+ */
+export function parseColorMap (text = '') {
+  const colors = {}
+
+  for (const line of text.split('\n')) {
+    const separator = line.indexOf('=')
+    if (separator <= 0) continue
+
+    const key = normalizePresence(line.slice(0, separator))
+    const color = line.slice(separator + 1).trim()
+    if (key && color) colors[key] = color
+  }
+
+  return colors
+}
+
+/**
+ * Resolve the color to draw for a presence value
+ * @param {string} presence - Presence as sent by the webhook
+ * @param {string} overrides - Color overrides from the button settings
+ * @returns {string|null} CSS color, or null when there is nothing to draw
+ */
+export function getPresenceColor (presence, overrides = '') {
+  if (!presence) return null
+
+  const key = normalizePresence(presence)
+  const colors = { ...DEFAULT_PRESENCE_COLORS, ...parseColorMap(overrides) }
+
+  return colors[key] || null
+}
+
+/**
+ * Draw the presence indicator onto an avatar canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with the avatar already drawn
+ * @param {number} size - Canvas size in pixels
+ * @param {string} color - Presence color
+ * @param {string} style - 'ring' or 'dot'
+ */
+export function drawPresence (ctx, size, color, style = 'ring') {
+  ctx.save()
+
+  if (style === 'dot') {
+    // Teams-style dot in the bottom-right corner with a white outline
+    const radius = size * 0.11
+    const center = size - radius - 6
+    ctx.beginPath()
+    ctx.arc(center, center, radius, 0, Math.PI * 2)
+    ctx.fillStyle = color
+    ctx.fill()
+    ctx.lineWidth = 4
+    ctx.strokeStyle = '#ffffff'
+    ctx.stroke()
+  } else if (style === 'ring') {
+    const lineWidth = size * 0.06
+    ctx.beginPath()
+    ctx.arc(size / 2, size / 2, size / 2 - lineWidth / 2, 0, Math.PI * 2)
+    ctx.lineWidth = lineWidth
+    ctx.strokeStyle = color
+    ctx.stroke()
+  }
+
+  ctx.restore()
+}
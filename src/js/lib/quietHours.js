@@ -0,0 +1,103 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const RANGE_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/
+
+/**
+ * Pick the quiet hours schedule that applies to a button: its own, or the
+ * global one when the button is set to use global quiet hours
+ * @param {object} settings - Button settings
+ * @param {object} globalSettings - Plugin global settings
+ * @returns {object} { enabled, days, ranges, allDay, timezone, hideCount }
+ */
+export function resolveQuietHours (settings = {}, globalSettings = {}) {
+  const source = settings.useGlobalQuietHours ? (globalSettings.quietHours || {}) : settings
+
+  return {
+    enabled: Boolean(source.quietEnabled),
+    days: Array.isArray(source.quietDays) ? source.quietDays.map(Number) : [],
+    ranges: parseTimeRanges(source.quietRanges),
+    // Only an empty field means all day, not one whose ranges are all invalid
+    allDay: String(source.quietRanges || '').trim() === '',
+    timezone: source.quietTimezone || '',
+    hideCount: Boolean(source.quietHideCount)
+  }
+}
+
+/**
+ * Parse "09:00-12:00" ranges, one per line or comma separated. A range that
+ * ends before it starts runs overnight, e.g. "22:00-07:00".
+ * @param {string} text - Time ranges
+ * @returns {object[]} [{ start, end }] in minutes since midnight, invalid ranges skipped
+ */
+export function parseTimeRanges (text = '') {
+  const ranges = []
+
+  for (const part of String(text).split(/[\n,]/)) {
+    const match = part.trim().match(RANGE_PATTERN)
+    if (!match) continue
+
+    const start = toMinutes(match[1], match[2])
+    const end = toMinutes(match[3], match[4])
+    if (start !== null && end !== null) ranges.push({ start, end })
+  }
+
+  return ranges
+}
+
+/**
+ * Whether a schedule is in quiet hours at a given time. With no ranges entered the
+ * selected days are quiet all day.
+ * @param {object} schedule - Schedule as returned by resolveQuietHours()
+ * @param {Date} date - Time to check, defaults to now
+ * @returns {boolean} True during quiet hours
+ */
+export function isQuietTime (schedule, date = new Date()) {
+  if (!schedule.enabled || schedule.days.length === 0) return false
+
+  const { day, minutes } = getLocalTime(date, schedule.timezone)
+  const isQuietDay = (weekday) => schedule.days.includes(weekday)
+
+  if (schedule.ranges.length === 0) return schedule.allDay && isQuietDay(day)
+
+  return schedule.ranges.some(({ start, end }) => {
+    if (start < end) return isQuietDay(day) && minutes >= start && minutes < end
+
+    // Overnight (or a full day when start equals end), the early hours belong to the day before
+    const previousDay = (day + 6) % 7
+    return (isQuietDay(day) && minutes >= start) || (isQuietDay(previousDay) && minutes < end)
+  })
+}
+
+function toMinutes (hours, minutes) {
+  const h = parseInt(hours)
+  const m = parseInt(minutes)
+  if (h > 24 || m > 59 || (h === 24 && m > 0)) return null
+  return h * 60 + m
+}
+
+// Weekday and minutes since midnight in the schedule's timezone, local time when unset or unknown
+function getLocalTime (date, timezone) {
+  if (timezone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date)
+      const part = (type) => parts.find(item => item.type === type).value
+
+      return { day: WEEKDAYS.indexOf(part('weekday')), minutes: parseInt(part('hour')) * 60 + parseInt(part('minute')) }
+    } catch (error) {
+      // Unknown timezone, fall back to local time
+    }
+  }
+
+  return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() }
+}
@@ -0,0 +1,97 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+import { parseTimestamp } from './messages'
+
+export const SORT_MODES = ['count', 'recent', 'alphabetical', 'webhook']
+
+/**
+ * Apply a rotating button's filters to the users from the rotating webhook.
+ * Pinned users always stay in the rotation, whatever the filters say.
+ * @param {object[]} users - User entries as sent by the webhook
+ * @param {object} settings - Button settings (includeUsers, excludeUsers, hideBots, minCount, pinnedUsers)
+ * @returns {object[]} New array with the users that stay in the rotation
+ */
+export function filterUsers (users, settings = {}) {
+  const include = parsePatterns(settings.includeUsers)
+  const exclude = parsePatterns(settings.excludeUsers)
+  const pinned = parsePatterns(settings.pinnedUsers)
+  const minCount = parseInt(settings.minCount) || 0
+
+  return users.filter(user => {
+    if (pinned.some(matches => matches(user))) return true
+    if (settings.hideBots && user.fromType === 'bot') return false
+    if ((user.count || 0) < minCount) return false
+    if (include.length > 0 && !include.some(matches => matches(user))) return false
+    return !exclude.some(matches => matches(user))
+  })
+}
+
+/**
+ * Sort users for the rotation. Pinned users come first, in the order they are
+ * listed, then everyone else in the button's sort mode. Ties keep webhook order.
+ * @param {object[]} users - Filtered users
+ * @param {object} settings - Button settings (sortMode, pinnedUsers)
+ * @returns {object[]} New sorted array
+ */
+export function sortUsers (users, settings = {}) {
+  const mode = SORT_MODES.includes(settings.sortMode) ? settings.sortMode : 'count'
+  const pinned = parsePatterns(settings.pinnedUsers)
+  const pinRank = (user) => {
+    const index = pinned.findIndex(matches => matches(user))
+    return index === -1 ? pinned.length : index
+  }
+
+  const ranked = users.map(user => ({ user, rank: pinRank(user), lastMessageAt: parseTimestamp(user.lastMessageAt) }))
+  return ranked.sort((a, b) => a.rank - b.rank || compareUsers(a, b, mode)).map(({ user }) => user)
+}
+
+/**
+ * Cut the rotation down to the button's maximum number of users
+ * @param {object[]} users - Filtered and sorted users
+ * @param {object} settings - Button settings (maxUsers, 0 or empty for no limit)
+ * @returns {object[]} The first maxUsers users
+ */
+export function limitUsers (users, settings = {}) {
+  const maxUsers = parseInt(settings.maxUsers) || 0
+  return maxUsers > 0 ? users.slice(0, maxUsers) : users
+}
+
+function compareUsers (a, b, mode) {
+  if (mode === 'count') {
+    return (b.user.count || 0) - (a.user.count || 0)
+  }
+
+  if (mode === 'recent') {
+    // Users without a timestamp go last
+    if (a.lastMessageAt === null || b.lastMessageAt === null) {
+      return (a.lastMessageAt === null) - (b.lastMessageAt === null)
+    }
+    return b.lastMessageAt - a.lastMessageAt
+  }
+
+  if (mode === 'alphabetical') {
+    const nameOf = ({ user }) => String(user.displayName || user.userId || '')
+    return nameOf(a).localeCompare(nameOf(b), undefined, { sensitivity: 'base' })
+  }
+
+  return 0 // Webhook order
+}
+
+// One pattern per line, matched against the user ID or display name. Names may contain commas.
+function parsePatterns (text = '') {
+  return String(text).split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(createMatcher)
+}
+
+// Case-insensitive, `*` matches any run of characters
+function createMatcher (pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+  const regex = new RegExp(`^${source}$`, 'i')
+
+  return user => regex.test(String(user.userId ?? '')) || regex.test(user.displayName || '')
+}
@@ -0,0 +1,186 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+/* global DOMParser */
+
+export const BODY_FORMATS = Object.freeze(['plain', 'html', 'markdown'])
+
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+
+// Formatting kept as is, everything else is unwrapped to its text
+const ALLOWED_TAGS = new Set([
+  'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del',
+  'p', 'br', 'div', 'span', 'hr', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'li', 'a', 'code', 'pre'
+])
+
+// Removed together with their content
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'head', 'title', 'link', 'meta', 'base',
+  'iframe', 'frame', 'object', 'embed', 'applet', 'svg', 'math',
+  'video', 'audio', 'picture', 'source', 'track', 'canvas',
+  'form', 'input', 'button', 'textarea', 'select'
+])
+
+const VOID_TAGS = new Set(['br', 'hr'])
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i
+
+export function escapeHtml (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Reduce untrusted HTML to an allowlist of formatting tags. Scripts, event
+ * handlers, styles and every attribute except link targets are dropped, and
+ * images are replaced by their alt text so nothing remote is loaded.
+ * Teams mentions (<at>) become <span class="mention">.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml (html) {
+  // DOMParser documents are inert: no scripts run and no resources load while parsing
+  const document = new DOMParser().parseFromString(String(html), 'text/html')
+  return sanitizeChildren(document.body)
+}
+
+/**
+ * Convert basic Markdown (emphasis, code, links, lists, headings, quotes) to safe HTML.
+ * Raw HTML in the source is shown as text.
+ * @param {string} markdown - Untrusted Markdown
+ * @returns {string} Safe HTML
+ */
+export function markdownToHtml (markdown) {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let paragraph = []
+  let list = null
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push(`<p>${paragraph.join('<br>')}</p>`)
+    paragraph = []
+  }
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`)
+    list = null
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph()
+      flushList()
+      const code = []
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i])
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`)
+      continue
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/)
+    const quote = line.match(/^>\s?(.*)$/)
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/)
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/)
+
+    if (bullet || numbered) {
+      flushParagraph()
+      const tag = bullet ? 'ul' : 'ol'
+      if (!list || list.tag !== tag) {
+        flushList()
+        list = { tag, items: [] }
+      }
+      list.items.push(renderInline((bullet || numbered)[1]))
+      continue
+    }
+
+    flushList()
+
+    if (!line.trim()) {
+      flushParagraph()
+    } else if (heading) {
+      flushParagraph()
+      blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`)
+    } else if (quote) {
+      flushParagraph()
+      blocks.push(`<blockquote>${renderInline(quote[1])}</blockquote>`)
+    } else {
+      paragraph.push(renderInline(line))
+    }
+  }
+
+  flushParagraph()
+  flushList()
+
+  // Run the result through the sanitizer as well, it owns the link rules
+  return sanitizeHtml(blocks.join(''))
+}
+
+/**
+ * Safe HTML for a message body in the given format
+ * @param {string} body - Message body from the webhook
+ * @param {string} format - One of BODY_FORMATS
+ * @returns {string} Safe HTML
+ */
+export function renderMessageBody (body, format = 'plain') {
+  if (format === 'html') return sanitizeHtml(body)
+  if (format === 'markdown') return markdownToHtml(body)
+  return escapeHtml(body)
+}
+
+function sanitizeChildren (node) {
+  return [...node.childNodes].map(child => sanitizeNode(child)).join('')
+}
+
+function sanitizeNode (node) {
+  if (node.nodeType === TEXT_NODE) return escapeHtml(node.textContent)
+  if (node.nodeType !== ELEMENT_NODE) return ''
+
+  const tag = node.tagName.toLowerCase()
+  if (DROPPED_TAGS.has(tag)) return ''
+
+  // Teams sends emoji as images, their alt text is the emoji itself
+  if (tag === 'img') return escapeHtml(node.getAttribute('alt') || '')
+
+  const children = sanitizeChildren(node)
+
+  if (tag === 'at') return `<span class="mention">${children}</span>`
+
+  if (tag === 'a') {
+    const href = (node.getAttribute('href') || '').trim()
+    if (!SAFE_URL_PATTERN.test(href)) return children
+    return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${children}</a>`
+  }
+
+  if (!ALLOWED_TAGS.has(tag)) return children
+  if (VOID_TAGS.has(tag)) return `<${tag}>`
+  return `<${tag}>${children}</${tag}>`
+}
+
+// Inline Markdown on a single line: code, links, bold, italics and strikethrough
+function renderInline (text) {
+  const codeSpans = []
+  let html = escapeHtml(text.replace(/\uE000/g, ''))
+
+  // Park code spans behind private-use placeholders so the other rules leave them alone
+  html = html.replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${code}</code>`)
+    return `\uE000${codeSpans.length - 1}\uE000`
+  })
+
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/\*(.+?)\*|(^|[^\w])_(.+?)_(?!\w)/g, (match, a, prefix, b) => a ? `<em>${a}</em>` : `${prefix}<em>${b}</em>`)
+    .replace(/~~(.+?)~~/g, '<del>$1</del>')
+
+  return html.replace(/\uE000(\d+)\uE000/g, (match, index) => codeSpans[index])
+}
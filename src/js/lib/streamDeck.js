@@ -4,10 +4,29 @@
  * @license MIT
  */
 /* global WebSocket */
+
+// Reconnection backoff bounds in milliseconds
+const RECONNECT_BASE_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+
+// Maximum number of outbound messages kept while disconnected
+const MAX_QUEUE_SIZE = 200
+
+// Events where only the most recent message per context matters
+const COALESCED_EVENTS = ['setImage', 'setTitle', 'setState', 'setSettings']
+
+// Momentary feedback that makes no sense to replay after a reconnect. Log lines
+// are dropped too (they still reach the console), a chatty log would otherwise
+// push the queued images and titles out.
+const TRANSIENT_EVENTS = ['showAlert', 'showOk', 'openUrl', 'logMessage']
+
 export default class StreamDeck {
   constructor () {
     this.connected = false
     this._websocket = null
+    this._reconnectAttempts = 0
+    this._reconnectTimer = null
+    this._queue = []
     this.port = null
     this.uuid = null
     this.register = null
@@ -15,25 +34,38 @@ export default class StreamDeck {
     this.activeActions = {}
     this.availableActions = {}
     this._globalSettings = {}
-    this._piCallback = () => {}
-    this._globalSettingsCallback = () => {}
+    this._listeners = {}
     this._initialLoadCallback = null
-    this._sendToPluginCallback = () => {}
-    this._propertyInspectorDidAppearCallback = () => {}
 
     window.connectElgatoStreamDeckSocket = (port, uuid, register, info) => {
       this.port = port
       this.uuid = uuid
       this.register = register
       this.info = info
-      this.websocket = new WebSocket('ws://127.0.0.1:' + port)
+      this.connect()
+    }
+  }
 
-      this.websocket.onopen = () => {
-        this.onOpen()
-      }
-      this.websocket.onmessage = (msg) => {
-        this.onMessage(msg)
-      }
+  connect () {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
+    }
+
+    this.websocket = new WebSocket('ws://127.0.0.1:' + this.port)
+
+    this.websocket.onopen = () => {
+      this.onOpen()
+    }
+    this.websocket.onmessage = (msg) => {
+      this.onMessage(msg)
+    }
+    this.websocket.onclose = () => {
+      this.onClose()
+    }
+    this.websocket.onerror = () => {
+      // onclose always follows an error, reconnection is handled there
+      console.log('Stream Deck socket error')
     }
   }
 
@@ -49,9 +81,69 @@ export default class StreamDeck {
     return this._globalSettings
   }
 
+  get isOpen () {
+    return this._websocket !== null && this._websocket.readyState === WebSocket.OPEN
+  }
+
   onOpen () {
+    this.connected = true
+    this._reconnectAttempts = 0
     this.registerPluginOrPI(this.register, this.uuid)
     this.requestGlobalSettings(this.uuid)
+    this.flushQueue()
+  }
+
+  onClose () {
+    this.connected = false
+    if (this._reconnectTimer) return
+
+    // Exponential backoff with a little jitter so we don't hammer the socket
+    const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, this._reconnectAttempts), RECONNECT_MAX_DELAY)
+    const jitter = Math.random() * RECONNECT_BASE_DELAY
+    this._reconnectAttempts++
+
+    console.log(`Stream Deck socket closed, reconnecting in ${Math.round(delay + jitter)}ms`)
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null
+      this.connect()
+    }, delay + jitter)
+  }
+
+  /**
+   * Send a message to Stream Deck, queueing it while the socket is down
+   * @param {object} json - Message to send
+   */
+  send (json) {
+    if (this.isOpen) {
+      this._websocket.send(JSON.stringify(json))
+      return
+    }
+
+    this.enqueue(json)
+  }
+
+  enqueue (json) {
+    if (TRANSIENT_EVENTS.includes(json.event)) return
+
+    // Images, titles and settings only need the latest value per context
+    if (COALESCED_EVENTS.includes(json.event)) {
+      this._queue = this._queue.filter(queued => !(queued.event === json.event && queued.context === json.context))
+    }
+
+    this._queue.push(json)
+
+    if (this._queue.length > MAX_QUEUE_SIZE) {
+      this._queue.splice(0, this._queue.length - MAX_QUEUE_SIZE)
+    }
+  }
+
+  flushQueue () {
+    const queue = this._queue
+    this._queue = []
+
+    for (const json of queue) {
+      this.send(json)
+    }
   }
 
   onMessage (msg) {
@@ -62,64 +154,115 @@ export default class StreamDeck {
     const event = json.event
     const action = json.action
     const context = json.context
-    const payload = json.payload
-    let settings
+    const payload = json.payload || {}
+    const instance = this.activeActions[context]
 
-    // Key up event
-    if (event === 'keyUp') {
-      if (context in this.activeActions) {
-        this.activeActions[context].onKeyUp(context, payload.settings, payload.coordinates, payload.userDesiredState, payload.state)
+    if (event === 'keyDown') {
+      if (instance) {
+        instance.onKeyDown(context, payload.settings, payload.coordinates, payload.userDesiredState, payload.state)
+      }
+    } else if (event === 'keyUp') {
+      if (instance) {
+        instance.onKeyUp(context, payload.settings, payload.coordinates, payload.userDesiredState, payload.state)
       }
     } else if (event === 'willAppear') {
-      settings = payload.settings
-
       if (!(action in this.availableActions)) {
         throw new Error(`${context} is not in the available actions list`)
       } else if (!(context in this.activeActions)) {
-        this.activeActions[context] = this.addAction(action, context, settings)
+        this.activeActions[context] = this.addAction(action, context, payload.settings)
       }
-      this.activeActions[context].onWillAppear(context, settings, payload.coordinates)
+      this.activeActions[context].onWillAppear(context, payload.settings, payload.coordinates)
     } else if (event === 'willDisappear') {
-      if (context in this.activeActions) {
-        this.activeActions[context].onWillDisappear(context, settings, payload.coordinates)
+      if (instance) {
+        instance.onWillDisappear(context, payload.settings, payload.coordinates)
         delete this.activeActions[context]
       }
+    } else if (event === 'titleParametersDidChange') {
+      if (instance) {
+        instance.onTitleParametersDidChange(context, payload)
+      }
     } else if (event === 'didReceiveGlobalSettings') {
-      this._globalSettings = payload.settings
+      this._globalSettings = payload.settings || {}
       if (typeof this._initialLoadCallback === 'function') {
         this._initialLoadCallback()
         this._initialLoadCallback = null
       }
-      this._globalSettingsCallback()
     } else if (event === 'didReceiveSettings') {
-      settings = payload.settings
-
-      if (context in this.activeActions) {
-        this.activeActions[context].setSettings(settings)
+      if (instance) {
+        instance.setSettings(payload.settings)
         // Also call onDidReceiveSettings if available
-        if (typeof this.activeActions[context].onDidReceiveSettings === 'function') {
-          this.activeActions[context].onDidReceiveSettings(context, payload)
+        if (typeof instance.onDidReceiveSettings === 'function') {
+          instance.onDidReceiveSettings(context, payload)
         }
       }
     } else if (event === 'propertyInspectorDidAppear') {
-      this._propertyInspectorDidAppearCallback()
-    } else if (event === 'sendToPropertyInspector') {
-      this._piCallback()
+      if (instance) {
+        instance.onPropertyInspectorDidAppear(context)
+      }
+    } else if (event === 'propertyInspectorDidDisappear') {
+      if (instance) {
+        instance.onPropertyInspectorDidDisappear(context)
+      }
     } else if (event === 'sendToPlugin') {
       // Forward to the action's onSendToPlugin method
-      if (context in this.activeActions && typeof this.activeActions[context].onSendToPlugin === 'function') {
-        this.activeActions[context].onSendToPlugin(context, payload)
+      if (instance && typeof instance.onSendToPlugin === 'function') {
+        instance.onSendToPlugin(context, payload)
+      }
+    } else if (event === 'deviceDidConnect') {
+      this.executeOnAvailableActions((ctx, inst) => inst.onDeviceDidConnect(json.device, json.deviceInfo))
+    } else if (event === 'deviceDidDisconnect') {
+      this.executeOnAvailableActions((ctx, inst) => inst.onDeviceDidDisconnect(json.device))
+    } else if (event === 'systemDidWakeUp') {
+      this.executeOnAvailableActions((ctx, inst) => inst.onSystemDidWakeUp())
+    } else if (event === 'applicationDidLaunch') {
+      this.executeOnAvailableActions((ctx, inst) => inst.onApplicationDidLaunch(payload.application))
+    }
+
+    // Let every subscriber see the event, whether or not an action handled it
+    this.emit(event, payload, json)
+  }
+
+  /**
+   * Subscribe to a Stream Deck event
+   * @param {string} event - Event name, e.g. 'keyDown' or 'didReceiveGlobalSettings'
+   * @param {function} handler - Called with (payload, message)
+   */
+  on (event, handler) {
+    if (typeof handler !== 'function') return
+    if (!this._listeners[event]) this._listeners[event] = []
+    this._listeners[event].push(handler)
+  }
+
+  /**
+   * Remove a handler added with on()
+   * @param {string} event - Event name
+   * @param {function} handler - Handler to remove
+   */
+  off (event, handler) {
+    if (!this._listeners[event]) return
+    this._listeners[event] = this._listeners[event].filter(listener => listener !== handler)
+  }
+
+  emit (event, payload, message) {
+    const listeners = this._listeners[event]
+    if (!listeners) return
+
+    // Copy so handlers can unsubscribe themselves while we iterate
+    for (const listener of listeners.slice()) {
+      try {
+        listener(payload, message)
+      } catch (error) {
+        console.log(`Error in ${event} listener: ${error.message}`)
       }
-      this._sendToPluginCallback()
     }
   }
 
   onPiLoaded (callback) {
-    if (typeof callback === 'function') this._piCallback = callback
+    this.on('sendToPropertyInspector', callback)
   }
 
   onGlobalSettingsReceived (callback) {
-    if (typeof callback === 'function') this._globalSettingsCallback = callback
+    this.on('didReceiveGlobalSettings', callback)
   }
 
   onInitialLoad (callback) {
@@ -127,11 +270,11 @@ export default class StreamDeck {
   }
 
   onSendToPlugin (callback) {
-    if (typeof callback === 'function') this._sendToPluginCallback = callback
+    this.on('sendToPlugin', callback)
   }
 
   onPropertyInspectorDidAppear (callback) {
-    if (typeof callback === 'function') this._propertyInspectorDidAppearCallback = callback
+    this.on('propertyInspectorDidAppear', callback)
   }
 
   executeOnAvailableActions (callback) {
@@ -141,7 +284,8 @@ export default class StreamDeck {
   }
 
   registerPluginOrPI (event) {
-    if (this._websocket) {
+    // Registration must go out first on a fresh socket, never queued
+    if (this.isOpen) {
       const json = {
         event: event,
         uuid: this.uuid
@@ -152,7 +296,8 @@ export default class StreamDeck {
   }
 
   requestGlobalSettings () {
-    if (this._websocket) {
+    // Re-requested on every (re)connection, so there is no need to queue it
+    if (this.isOpen) {
       const json = {
         event: 'getGlobalSettings',
         context: this.uuid
@@ -169,28 +314,24 @@ export default class StreamDeck {
   }
 
   saveGlobalSettings () {
-    if (this._websocket) {
-      const json = {
-        event: 'setGlobalSettings',
-        context: this.uuid,
-        payload: this._globalSettings
-      }
-
-      this._websocket.send(JSON.stringify(json))
+    const json = {
+      event: 'setGlobalSettings',
+      context: this.uuid,
+      payload: this._globalSettings
     }
+
+    this.send(json)
   }
 
   saveSettings (action, actionUUID, settings) {
-    if (this._websocket) {
-      const json = {
-        action: action,
-        event: 'setSettings',
-        context: actionUUID,
-        payload: settings
-      }
-
-      this._websocket.send(JSON.stringify(json))
+    const json = {
+      action: action,
+      event: 'setSettings',
+      context: actionUUID,
+      payload: settings
     }
+
+    this.send(json)
   }
 
   registerAction (implementation, actionUUID) {
@@ -202,29 +343,25 @@ export default class StreamDeck {
   }
 
   sendToPropertyInspector (action, context, data) {
-    if (this._websocket) {
-      const json = {
-        action: action,
-        event: 'sendToPropertyInspector',
-        context: context,
-        payload: data
-      }
-
-      this._websocket.send(JSON.stringify(json))
+    const json = {
+      action: action,
+      event: 'sendToPropertyInspector',
+      context: context,
+      payload: data
     }
+
+    this.send(json)
   }
 
   sendToPlugin (action, context, data) {
-    if (this._websocket) {
-      const json = {
-        action: action,
-        event: 'sendToPlugin',
-        context: context,
-        payload: data
-      }
-
-      this._websocket.send(JSON.stringify(json))
+    const json = {
+      action: action,
+      event: 'sendToPlugin',
+      context: context,
+      payload: data
     }
+
+    this.send(json)
   }
 
   log (msg) {
@@ -233,15 +370,13 @@ export default class StreamDeck {
     console.log(timeString, msg)
 
     // Log to the Stream Deck log file
-    if (this._websocket) {
-      const json = {
-        event: 'logMessage',
-        payload: {
-          message: msg
-        }
+    const json = {
+      event: 'logMessage',
+      payload: {
+        message: msg
       }
-
-      this._websocket.send(JSON.stringify(json))
     }
+
+    this.send(json)
   }
 }
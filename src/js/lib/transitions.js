@@ -0,0 +1,95 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+export const TRANSITION_EFFECTS = Object.freeze(['crossfade', 'slideLeft', 'slideUp', 'push', 'wipe', 'zoom', 'flip', 'none'])
+
+export const EASINGS = Object.freeze({
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+})
+
+/**
+ * Transition settings of a rotating button. The older `disableAnimation`
+ * flag maps to the 'none' effect when no effect has been picked.
+ * @param {object} settings - Button settings
+ * @returns {object} { effect, easing, duration, fps } with duration in ms
+ */
+export function resolveTransition (settings = {}) {
+  const fallback = settings.disableAnimation ? 'none' : 'crossfade'
+  const effect = TRANSITION_EFFECTS.includes(settings.transition) ? settings.transition : fallback
+  const easing = EASINGS[settings.transitionEasing] ? settings.transitionEasing : 'easeInOut'
+  const duration = Math.min(Math.max(parseInt(settings.transitionDuration) || 1000, 200), 3000)
+  const fps = Math.min(Math.max(parseInt(settings.transitionFps) || 24, 5), 30)
+
+  return { effect, easing, duration, fps }
+}
+
+/**
+ * Draw one frame of a transition between two key images
+ * @param {CanvasRenderingContext2D} ctx - Canvas context to draw on
+ * @param {number} size - Canvas size in pixels
+ * @param {CanvasImageSource} from - Image being left
+ * @param {CanvasImageSource} to - Image being shown
+ * @param {number} progress - 0 for the first frame, 1 for the last, already eased
+ * @param {string} effect - One of TRANSITION_EFFECTS
+ */
+export function drawTransitionFrame (ctx, size, from, to, progress, effect) {
+  ctx.save()
+  ctx.fillStyle = '#000000'
+  ctx.fillRect(0, 0, size, size)
+
+  const offset = Math.round(progress * size)
+
+  switch (effect) {
+    case 'slideLeft':
+      // The next image slides in from the right over the current one
+      ctx.drawImage(from, 0, 0, size, size)
+      ctx.drawImage(to, size - offset, 0, size, size)
+      break
+    case 'slideUp':
+      ctx.drawImage(from, 0, 0, size, size)
+      ctx.drawImage(to, 0, size - offset, size, size)
+      break
+    case 'push':
+      // Both move, the next image pushes the current one out
+      ctx.drawImage(from, -offset, 0, size, size)
+      ctx.drawImage(to, size - offset, 0, size, size)
+      break
+    case 'wipe':
+      ctx.drawImage(from, 0, 0, size, size)
+      ctx.beginPath()
+      ctx.rect(0, 0, offset, size)
+      ctx.clip()
+      ctx.drawImage(to, 0, 0, size, size)
+      break
+    case 'zoom': {
+      // The next image grows from the center while the current one fades out
+      const scaled = Math.max(1, Math.round(size * progress))
+      ctx.globalAlpha = 1 - progress
+      ctx.drawImage(from, 0, 0, size, size)
+      ctx.globalAlpha = 1
+      ctx.drawImage(to, (size - scaled) / 2, (size - scaled) / 2, scaled, scaled)
+      break
+    }
+    case 'flip': {
+      // Turn the card edge-on, then open it up showing the other side
+      const image = progress < 0.5 ? from : to
+      const width = Math.max(1, Math.round(size * Math.abs(Math.cos(progress * Math.PI))))
+      ctx.drawImage(image, (size - width) / 2, 0, width, size)
+      break
+    }
+    default:
+      // Crossfade over black
+      ctx.globalAlpha = 1 - progress
+      ctx.drawImage(from, 0, 0, size, size)
+      ctx.globalAlpha = progress
+      ctx.drawImage(to, 0, 0, size, size)
+  }
+
+  ctx.restore()
+}
@@ -0,0 +1,46 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+// Stream Deck button size, handed to webhooks through {size}
+export const AVATAR_SIZE = 144
+
+const PLACEHOLDER_PATTERN = /\{(email|userId|displayName|size)\}/g
+
+/**
+ * Expand a webhook URL template such as `https://n8n/avatar/{userId}?size={size}`.
+ *
+ * Supported placeholders are {email}, {userId}, {displayName} and {size}, each
+ * URI-encoded. A URL without placeholders keeps the old behavior and gets the
+ * fallback query parameter appended, respecting any existing query string.
+ *
+ * @param {string} template - Webhook URL, with or without placeholders
+ * @param {object} values - { email, userId, displayName, size }
+ * @param {string} fallbackParam - Query parameter to append when there are no placeholders, e.g. 'user'
+ * @param {string} fallbackValue - Value for the fallback parameter
+ * @returns {string} Resolved URL
+ */
+export function expandUrl (template, values, fallbackParam = null, fallbackValue = '') {
+  const resolvedValues = { size: AVATAR_SIZE, ...values }
+
+  if (hasPlaceholders(template)) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = resolvedValues[name]
+      return encodeURIComponent(value === undefined || value === null ? '' : value)
+    })
+  }
+
+  if (!fallbackParam) {
+    return template
+  }
+
+  const separator = template.includes('?') ? '&' : '?'
+  return `${template}${separator}${fallbackParam}=${encodeURIComponent(fallbackValue)}`
+}
+
+export function hasPlaceholders (template) {
+  // A fresh regex, test() on the global one would carry lastIndex between calls
+  return new RegExp(PLACEHOLDER_PATTERN.source).test(template)
+}
@@ -4,23 +4,47 @@
  * @license MIT
  */
 import StreamDeck from './lib/streamDeck'
+import DataService from './lib/dataService'
+import AvatarStore from './lib/avatarStore'
+import HttpClient from './lib/http'
+import MessagesWindows from './lib/messagesWindows'
 import TeamsAvatar from './actions/teamsAvatar'
 import TeamsRotating from './actions/teamsRotating'
 
 const streamDeck = new StreamDeck()
+streamDeck.http = new HttpClient(streamDeck)
+streamDeck.dataService = new DataService(streamDeck, streamDeck.http)
+streamDeck.avatarStore = new AvatarStore(streamDeck)
+streamDeck.messagesWindows = new MessagesWindows(streamDeck)
 
 streamDeck.onInitialLoad(() => {
 
 })
 
-streamDeck.onGlobalSettingsReceived(() => {
-  // Restart polling for all active actions when global settings change
+const restartPolling = () => {
   streamDeck.executeOnAvailableActions((context, instance) => {
     if (instance.startPolling) {
       instance.startPolling(context)
     }
   })
-})
+}
+
+const checkQuietHours = () => {
+  streamDeck.executeOnAvailableActions((context, instance) => instance.checkQuietHours(context))
+}
+
+// Restart polling for all active actions when global settings change
+streamDeck.onGlobalSettingsReceived(restartPolling)
+streamDeck.onGlobalSettingsReceived(checkQuietHours)
+
+// Quiet hours start and end on the minute, check just after each one
+setTimeout(() => {
+  checkQuietHours()
+  setInterval(checkQuietHours, 60 * 1000)
+}, 60 * 1000 - Date.now() % (60 * 1000) + 500)
+
+// Timers drift or stall while the machine sleeps, refresh right away on wake
+streamDeck.on('systemDidWakeUp', () => streamDeck.dataService.refreshAll())
 
 streamDeck.registerAction(TeamsAvatar, 'com.leandromenezes.teamsavatar.avatar')
 streamDeck.registerAction(TeamsRotating, 'com.leandromenezes.teamsavatar.rotating')
@@ -0,0 +1,299 @@
+/**
+ * @author Leandro Menezes
+ * @copyright 2025 Leandro Menezes
+ * @license MIT
+ */
+
+// Live messages window, opened by a Teams Avatar button with window.open().
+// It talks to the plugin page through window.opener with postMessage.
+
+// Only these sources are loaded for sender avatars
+const AVATAR_URL_PATTERN = /^(https?:|data:image\/)/i
+const RELATIVE_UNITS = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]]
+
+const context = new URLSearchParams(window.location.search).get('context')
+const relativeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' })
+
+let state = { user: '', messages: [], isStale: false, canReply: false, cannedResponses: [] }
+let hasGrouping = false
+let nextActionId = 1
+const pendingActions = new Map() // action id -> resolve
+let openReplyKey = null // Message whose reply box is open, kept across re-renders
+let focusReply = false
+const replyDrafts = new Map() // message key -> unsent reply text
+
+// Plugin pages are file:// URLs with an opaque origin, so messages are matched
+// by the window they come from instead of by origin
+function postToPlugin (type, data = {}) {
+  if (window.opener && !window.opener.closed) {
+    window.opener.postMessage({ type: `messagesPage:${type}`, context, ...data }, '*')
+  }
+}
+
+/**
+ * Send an action to the owning button
+ * @param {string} action - 'markRead', 'reply' or 'refresh'
+ * @param {object} payload - Action data
+ * @returns {Promise<object>} { ok, error } once the plugin has handled it
+ */
+function sendAction (action, payload = {}) {
+  const id = nextActionId++
+  return new Promise(resolve => {
+    pendingActions.set(id, resolve)
+    postToPlugin('action', { id, action, payload })
+  })
+}
+
+window.addEventListener('message', (event) => {
+  if (event.source !== window.opener || !event.data || event.data.context !== context) return
+
+  if (event.data.type === 'messagesPage:update') {
+    onUpdate(event.data)
+  } else if (event.data.type === 'messagesPage:result') {
+    onResult(event.data)
+  }
+})
+
+function onUpdate (data) {
+  state = data
+
+  // Pick a grouping once, from the first data we see
+  if (!hasGrouping) {
+    hasGrouping = true
+    document.getElementById('groupBy').value = state.messages.some(message => message.chatId)
+      ? 'chat'
+      : state.messages.some(message => message.from) ? 'sender' : 'none'
+  }
+
+  // Search the visible text of the body, not its markup
+  for (const message of state.messages) {
+    const probe = document.createElement('div')
+    probe.innerHTML = message.bodyHtml
+    message.searchText = [message.title, probe.textContent, message.from ? message.from.name : ''].join(' ').toLowerCase()
+  }
+
+  document.getElementById('heading').textContent = `Teams Messages (${state.messages.length})`
+  showStatus(state.isStale
+    ? 'Could not refresh, showing the last messages received'
+    : `${state.user} - updated ${new Date().toLocaleTimeString()}`, state.isStale)
+
+  render()
+}
+
+function onResult (data) {
+  const resolve = pendingActions.get(data.id)
+  if (resolve) {
+    pendingActions.delete(data.id)
+    resolve(data)
+  }
+}
+
+async function runAction (button, action, payload, failureText) {
+  button.disabled = true
+  const result = await sendAction(action, payload)
+  button.disabled = false
+
+  if (!result.ok) showStatus(`${failureText}: ${result.error}`, true)
+  return result
+}
+
+function showStatus (text, isError = false) {
+  const status = document.getElementById('status')
+  status.textContent = text
+  status.classList.toggle('stale', isError)
+}
+
+function relativeTime (timestamp) {
+  const seconds = (timestamp - Date.now()) / 1000
+  for (const [unit, length] of RELATIVE_UNITS) {
+    if (Math.abs(seconds) >= length) return relativeFormat.format(Math.round(seconds / length), unit)
+  }
+  return 'just now'
+}
+
+function element (tag, className, text) {
+  const node = document.createElement(tag)
+  node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+function renderAvatar (from) {
+  if (from.avatarUrl && AVATAR_URL_PATTERN.test(from.avatarUrl)) {
+    const image = element('img', 'message-avatar')
+    image.src = from.avatarUrl
+    image.alt = ''
+    return image
+  }
+
+  // Initials on a color derived from the name, so each sender keeps theirs
+  const initials = from.name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase()
+  const avatar = element('div', 'message-avatar', initials)
+  let hash = 0
+  for (const char of from.name) hash = (hash * 31 + char.charCodeAt(0)) % 360
+  avatar.style.background = `hsl(${hash}, 45%, 40%)`
+  return avatar
+}
+
+function renderMessage (message) {
+  const item = element('div', 'message')
+
+  if (message.from || message.createdAt) {
+    const header = element('div', 'message-header')
+    if (message.from) {
+      header.appendChild(renderAvatar(message.from))
+      header.appendChild(element('span', 'message-sender', message.from.name))
+    }
+    if (message.createdAt) {
+      const time = element('time', 'message-time', relativeTime(message.createdAt))
+      time.dateTime = new Date(message.createdAt).toISOString()
+      time.title = new Date(message.createdAt).toLocaleString()
+      header.appendChild(time)
+    }
+    item.appendChild(header)
+  }
+
+  item.appendChild(element('div', 'message-title', message.title))
+
+  // bodyHtml is sanitized by the plugin before it is sent here
+  const body = element('div', 'message-body')
+  body.innerHTML = message.bodyHtml
+  item.appendChild(body)
+
+  const actions = element('div', 'message-actions')
+  if (state.canReply) {
+    const reply = element('button', '', 'Reply')
+    reply.addEventListener('click', () => {
+      openReplyKey = openReplyKey === message.key ? null : message.key
+      focusReply = openReplyKey !== null
+      render()
+    })
+    actions.appendChild(reply)
+  }
+  const markRead = element('button', '', 'Mark read')
+  markRead.addEventListener('click', () => runAction(markRead, 'markRead', { keys: [message.key] }, 'Could not mark the message read'))
+  actions.appendChild(markRead)
+  item.appendChild(actions)
+
+  if (state.canReply && openReplyKey === message.key) {
+    item.appendChild(renderReplyBox(message))
+  }
+
+  return item
+}
+
+function renderReplyBox (message) {
+  const box = element('div', 'reply-box')
+  const input = element('textarea', 'reply-input')
+  input.placeholder = 'Write a reply'
+  input.value = replyDrafts.get(message.key) || ''
+  input.addEventListener('input', () => replyDrafts.set(message.key, input.value))
+  const feedback = element('div', 'reply-feedback')
+
+  const send = async (button, text) => {
+    if (!text.trim()) return
+
+    feedback.textContent = 'Sending...'
+    feedback.className = 'reply-feedback'
+    const result = await runAction(button, 'reply', { key: message.key, text }, 'Could not send the reply')
+
+    if (result.ok) {
+      feedback.textContent = 'Reply sent'
+      input.value = ''
+      replyDrafts.delete(message.key)
+      showStatus('Reply sent')
+    } else {
+      feedback.textContent = `Not sent: ${result.error}`
+      feedback.className = 'reply-feedback error'
+    }
+  }
+
+  const canned = element('div', 'reply-canned')
+  for (const response of state.cannedResponses) {
+    const button = element('button', '', response)
+    button.addEventListener('click', () => send(button, response))
+    canned.appendChild(button)
+  }
+
+  const sendButton = element('button', 'reply-send', 'Send')
+  sendButton.addEventListener('click', () => send(sendButton, input.value))
+  input.addEventListener('keydown', (event) => {
+    // Enter sends, Shift+Enter adds a line
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault()
+      send(sendButton, input.value)
+    }
+  })
+
+  box.appendChild(canned)
+  box.appendChild(input)
+  box.appendChild(sendButton)
+  box.appendChild(feedback)
+  // Only when opened by a click, re-renders from updates must not steal focus
+  if (focusReply) {
+    focusReply = false
+    setTimeout(() => input.focus())
+  }
+
+  return box
+}
+
+function groupKey (message, mode) {
+  const sender = message.from ? message.from.name : ''
+  if (mode === 'chat') return message.chatId || sender
+  if (mode === 'sender') return sender
+  return ''
+}
+
+function groupLabel (group, mode) {
+  const senders = [...new Set(group.filter(message => message.from).map(message => message.from.name))]
+  if (senders.length === 0) return mode === 'chat' ? 'Other chats' : 'Unknown sender'
+  return senders.join(', ')
+}
+
+function render () {
+  const query = document.getElementById('search').value.trim().toLowerCase()
+  const mode = document.getElementById('groupBy').value
+  const list = document.getElementById('messages')
+
+  // Messages arrive newest first, so groups come out ordered by their newest message
+  const groups = new Map()
+  for (const message of state.messages) {
+    if (query && !message.searchText.includes(query)) continue
+    const key = groupKey(message, mode)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(message)
+  }
+
+  document.getElementById('markAllRead').disabled = state.messages.length === 0
+
+  list.replaceChildren()
+  if (groups.size === 0) {
+    list.appendChild(element('div', 'empty', state.messages.length === 0 ? 'No unread messages' : 'No matching messages'))
+    return
+  }
+
+  for (const group of groups.values()) {
+    if (mode !== 'none') list.appendChild(element('div', 'group-header', groupLabel(group, mode)))
+    for (const message of group) list.appendChild(renderMessage(message))
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const refresh = document.getElementById('refresh')
+  const markAllRead = document.getElementById('markAllRead')
+
+  document.getElementById('search').addEventListener('input', render)
+  document.getElementById('groupBy').addEventListener('change', render)
+  document.getElementById('close').addEventListener('click', () => window.close())
+  refresh.addEventListener('click', () => runAction(refresh, 'refresh', {}, 'Could not refresh'))
+  markAllRead.addEventListener('click', () => runAction(markAllRead, 'markRead', { keys: state.messages.map(message => message.key) }, 'Could not mark messages read'))
+
+  // Keep relative timestamps current while the window stays open, unless a reply is being written
+  setInterval(() => {
+    if (openReplyKey === null) render()
+  }, 60000)
+
+  // Ask the plugin for the current messages, updates follow on every poll
+  postToPlugin('ready')
+})
@@ -3,10 +3,19 @@
  * @copyright 2025 Leandro Menezes
  * @license MIT
  */
+import {
+  loadAuthFields,
+  readAuthFields,
+  updateAuthVisibility,
+  loadQuietHoursFields,
+  readQuietHoursFields,
+  validateQuietHours
+} from './lib/inspectorFields'
 
 let websocket = null
 let uuid = null
 let actionInfo = null
+let globalSettings = {}
 
 // Connect to Stream Deck
 function connectElgatoStreamDeckSocket(inPort, inUUID, inMessageType, inApplicationInfo, inActionInfo) {
@@ -29,31 +38,89 @@ function connectElgatoStreamDeckSocket(inPort, inUUID, inMessageType, inApplicat
       document.getElementById('rotatingWebhookUrl').value = settings.rotatingWebhookUrl || ''
       document.getElementById('pollingRefreshRate').value = settings.pollingRefreshRate || 30
       document.getElementById('carouselDuration').value = settings.carouselDuration || 5
-      document.getElementById('disableAnimation').checked = settings.disableAnimation || false
+      document.getElementById('requestTimeout').value = settings.requestTimeout || 10
+      document.getElementById('requestRetries').value = settings.requestRetries ?? 2
+      // Buttons saved before transitions were selectable only have disableAnimation
+      document.getElementById('transition').value = settings.transition || (settings.disableAnimation ? 'none' : 'crossfade')
+      document.getElementById('transitionEasing').value = settings.transitionEasing || 'easeInOut'
+      document.getElementById('transitionDuration').value = settings.transitionDuration || 1000
+      document.getElementById('transitionFps').value = settings.transitionFps || 24
       document.getElementById('useDisplayNameAsTitle').checked = settings.useDisplayNameAsTitle || false
+      document.getElementById('presenceStyle').value = settings.presenceStyle || 'ring'
+      document.getElementById('presenceColors').value = settings.presenceColors || ''
+      document.getElementById('badgeStyle').value = settings.badgeStyle || 'center'
+      document.getElementById('includeUsers').value = settings.includeUsers || ''
+      document.getElementById('excludeUsers').value = settings.excludeUsers || ''
+      document.getElementById('hideBots').checked = settings.hideBots || false
+      document.getElementById('minCount').value = settings.minCount || 0
+      document.getElementById('sortMode').value = settings.sortMode || 'count'
+      document.getElementById('pinnedUsers').value = settings.pinnedUsers || ''
+      document.getElementById('maxUsers').value = settings.maxUsers || ''
+      document.getElementById('pressAction').value = settings.pressAction || 'next'
+      document.getElementById('doublePressAction').value = settings.doublePressAction || 'none'
+      document.getElementById('longPressAction').value = settings.longPressAction || 'none'
+      document.getElementById('useGlobalAuth').checked = settings.useGlobalAuth || false
+      loadAuthFields(settings.useGlobalAuth ? (globalSettings.auth || {}) : settings)
+      document.getElementById('useGlobalQuietHours').checked = settings.useGlobalQuietHours || false
+      loadQuietHoursFields(settings.useGlobalQuietHours ? (globalSettings.quietHours || {}) : settings)
     }
 
     // Also request current settings as a fallback
     requestSettings()
+    requestGlobalSettings()
   }
 
   websocket.onmessage = function (event) {
-    console.log(event.data)
-
     const jsonObj = JSON.parse(event.data)
 
+    // Log only the event name, payloads may carry auth secrets
+    console.log(jsonObj.event)
+
     if (jsonObj.event === 'didReceiveSettings') {
       // Only update UI if the settings are for our specific button context
       if (actionInfo && jsonObj.context === actionInfo.context) {
         const settings = jsonObj.payload.settings || {}
+        actionInfo.payload.settings = settings
 
         // Update UI with current settings
         document.getElementById('avatarWebhookUrl').value = settings.avatarWebhookUrl || ''
         document.getElementById('rotatingWebhookUrl').value = settings.rotatingWebhookUrl || ''
         document.getElementById('pollingRefreshRate').value = settings.pollingRefreshRate || 30
         document.getElementById('carouselDuration').value = settings.carouselDuration || 5
-        document.getElementById('disableAnimation').checked = settings.disableAnimation || false
+        document.getElementById('requestTimeout').value = settings.requestTimeout || 10
+        document.getElementById('requestRetries').value = settings.requestRetries ?? 2
+        // Buttons saved before transitions were selectable only have disableAnimation
+        document.getElementById('transition').value = settings.transition || (settings.disableAnimation ? 'none' : 'crossfade')
+        document.getElementById('transitionEasing').value = settings.transitionEasing || 'easeInOut'
+        document.getElementById('transitionDuration').value = settings.transitionDuration || 1000
+        document.getElementById('transitionFps').value = settings.transitionFps || 24
         document.getElementById('useDisplayNameAsTitle').checked = settings.useDisplayNameAsTitle || false
+        document.getElementById('presenceStyle').value = settings.presenceStyle || 'ring'
+        document.getElementById('presenceColors').value = settings.presenceColors || ''
+        document.getElementById('badgeStyle').value = settings.badgeStyle || 'center'
+        document.getElementById('includeUsers').value = settings.includeUsers || ''
+        document.getElementById('excludeUsers').value = settings.excludeUsers || ''
+        document.getElementById('hideBots').checked = settings.hideBots || false
+        document.getElementById('minCount').value = settings.minCount || 0
+        document.getElementById('sortMode').value = settings.sortMode || 'count'
+        document.getElementById('pinnedUsers').value = settings.pinnedUsers || ''
+        document.getElementById('maxUsers').value = settings.maxUsers || ''
+        document.getElementById('pressAction').value = settings.pressAction || 'next'
+        document.getElementById('doublePressAction').value = settings.doublePressAction || 'none'
+        document.getElementById('longPressAction').value = settings.longPressAction || 'none'
+        document.getElementById('useGlobalAuth').checked = settings.useGlobalAuth || false
+        loadAuthFields(settings.useGlobalAuth ? (globalSettings.auth || {}) : settings)
+        document.getElementById('useGlobalQuietHours').checked = settings.useGlobalQuietHours || false
+        loadQuietHoursFields(settings.useGlobalQuietHours ? (globalSettings.quietHours || {}) : settings)
+      }
+    } else if (jsonObj.event === 'didReceiveGlobalSettings') {
+      globalSettings = jsonObj.payload.settings || {}
+
+      if (document.getElementById('useGlobalAuth').checked) {
+        loadAuthFields(globalSettings.auth || {})
+      }
+      if (document.getElementById('useGlobalQuietHours').checked) {
+        loadQuietHoursFields(globalSettings.quietHours || {})
       }
     }
   }
@@ -69,6 +136,27 @@ function requestSettings() {
   }
 }
 
+function requestGlobalSettings() {
+  if (websocket) {
+    const json = {
+      event: 'getGlobalSettings',
+      context: uuid
+    }
+    websocket.send(JSON.stringify(json))
+  }
+}
+
+function setGlobalSettings(settings) {
+  if (websocket) {
+    const json = {
+      event: 'setGlobalSettings',
+      context: uuid,
+      payload: settings
+    }
+    websocket.send(JSON.stringify(json))
+  }
+}
+
 function setSettings(settings) {
   if (websocket && actionInfo) {
     const json = {
@@ -96,6 +184,14 @@ document.addEventListener('DOMContentLoaded', function () {
   // Set up event listeners
   document.getElementById('save').addEventListener('click', () => saveSettings())
   document.getElementById('test').addEventListener('click', () => testConnection())
+  document.getElementById('authType').addEventListener('change', () => updateAuthVisibility())
+  document.getElementById('useGlobalAuth').addEventListener('change', (event) => {
+    // Swap the fields over to whichever auth source is now in use
+    loadAuthFields(event.target.checked ? (globalSettings.auth || {}) : (actionInfo?.payload?.settings || {}))
+  })
+  document.getElementById('useGlobalQuietHours').addEventListener('change', (event) => {
+    loadQuietHoursFields(event.target.checked ? (globalSettings.quietHours || {}) : (actionInfo?.payload?.settings || {}))
+  })
 })
 
 // Make functions available globally for Stream Deck integration
@@ -106,8 +202,26 @@ function saveSettings() {
   const rotatingWebhookUrl = document.getElementById('rotatingWebhookUrl').value.trim()
   const pollingRefreshRate = parseInt(document.getElementById('pollingRefreshRate').value) || 30
   const carouselDuration = parseInt(document.getElementById('carouselDuration').value) || 5
-  const disableAnimation = document.getElementById('disableAnimation').checked
+  const transition = document.getElementById('transition').value
+  const transitionEasing = document.getElementById('transitionEasing').value
+  const transitionDuration = parseInt(document.getElementById('transitionDuration').value) || 1000
+  const transitionFps = parseInt(document.getElementById('transitionFps').value) || 24
   const useDisplayNameAsTitle = document.getElementById('useDisplayNameAsTitle').checked
+  const requestTimeout = parseInt(document.getElementById('requestTimeout').value) || 10
+  const requestRetries = parseInt(document.getElementById('requestRetries').value) || 0
+  const presenceStyle = document.getElementById('presenceStyle').value
+  const presenceColors = document.getElementById('presenceColors').value.trim()
+  const badgeStyle = document.getElementById('badgeStyle').value
+  const includeUsers = document.getElementById('includeUsers').value.trim()
+  const excludeUsers = document.getElementById('excludeUsers').value.trim()
+  const hideBots = document.getElementById('hideBots').checked
+  const minCount = parseInt(document.getElementById('minCount').value) || 0
+  const sortMode = document.getElementById('sortMode').value
+  const pinnedUsers = document.getElementById('pinnedUsers').value.trim()
+  const maxUsers = parseInt(document.getElementById('maxUsers').value) || 0
+  const pressAction = document.getElementById('pressAction').value
+  const doublePressAction = document.getElementById('doublePressAction').value
+  const longPressAction = document.getElementById('longPressAction').value
 
   // Basic validation
   if (!avatarWebhookUrl || !rotatingWebhookUrl) {
@@ -125,14 +239,87 @@ function saveSettings() {
     return
   }
 
+  if (transitionDuration < 200 || transitionDuration > 3000) {
+    showAlert('Transition must be between 200 and 3000 ms')
+    return
+  }
+
+  if (transitionFps < 5 || transitionFps > 30) {
+    showAlert('Frame rate must be between 5 and 30 fps')
+    return
+  }
+
+  if (requestTimeout < 1 || requestTimeout > 60) {
+    showAlert('Request timeout must be between 1 and 60 seconds')
+    return
+  }
+
+  if (requestRetries < 0 || requestRetries > 5) {
+    showAlert('Retries must be between 0 and 5')
+    return
+  }
+
+  if (minCount < 0 || minCount > 999) {
+    showAlert('Minimum count must be between 0 and 999')
+    return
+  }
+
+  if (maxUsers < 0 || maxUsers > 100) {
+    showAlert('Max users must be between 0 (no limit) and 100')
+    return
+  }
+
+  const quietHours = readQuietHoursFields()
+  const quietHoursError = validateQuietHours(quietHours)
+  if (quietHoursError) {
+    showAlert(quietHoursError)
+    return
+  }
+
+  // Auth and quiet hours either live on this button or are shared by all buttons through global settings
+  const useGlobalAuth = document.getElementById('useGlobalAuth').checked
+  const useGlobalQuietHours = document.getElementById('useGlobalQuietHours').checked
+  const auth = readAuthFields()
+
+  if (useGlobalAuth || useGlobalQuietHours) {
+    globalSettings = {
+      ...globalSettings,
+      ...(useGlobalAuth ? { auth } : {}),
+      ...(useGlobalQuietHours ? { quietHours } : {})
+    }
+    setGlobalSettings(globalSettings)
+  }
+
   // Save instance settings
   const instanceSettings = {
+    ...(useGlobalAuth ? {} : auth),
+    useGlobalAuth,
+    ...(useGlobalQuietHours ? {} : quietHours),
+    useGlobalQuietHours,
     avatarWebhookUrl,
     rotatingWebhookUrl,
     pollingRefreshRate,
     carouselDuration,
-    disableAnimation,
-    useDisplayNameAsTitle
+    transition,
+    transitionEasing,
+    transitionDuration,
+    transitionFps,
+    useDisplayNameAsTitle,
+    requestTimeout,
+    requestRetries,
+    presenceStyle,
+    presenceColors,
+    badgeStyle,
+    includeUsers,
+    excludeUsers,
+    hideBots,
+    minCount,
+    sortMode,
+    pinnedUsers,
+    maxUsers,
+    pressAction,
+    doublePressAction,
+    longPressAction
   }
   setSettings(instanceSettings)
 
@@ -142,6 +329,7 @@ function saveSettings() {
 function testConnection() {
   const avatarWebhookUrl = document.getElementById('avatarWebhookUrl').value.trim()
   const rotatingWebhookUrl = document.getElementById('rotatingWebhookUrl').value.trim()
+  const requestTimeout = parseInt(document.getElementById('requestTimeout').value) || 10
 
   if (!avatarWebhookUrl || !rotatingWebhookUrl) {
     showAlert('Please fill in all required fields first')
@@ -155,7 +343,9 @@ function testConnection() {
     event: 'testConnection',
     settings: {
       avatarWebhookUrl,
-      rotatingWebhookUrl
+      rotatingWebhookUrl,
+      requestTimeout,
+      ...readAuthFields()
     }
   })
 }
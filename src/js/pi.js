@@ -3,10 +3,19 @@
  * @copyright 2025 Leandro Menezes
  * @license MIT
  */
+import {
+  loadAuthFields,
+  readAuthFields,
+  updateAuthVisibility,
+  loadQuietHoursFields,
+  readQuietHoursFields,
+  validateQuietHours
+} from './lib/inspectorFields'
 
 let websocket = null
 let uuid = null
 let actionInfo = null
+let globalSettings = {}
 
 // Connect to Stream Deck
 function connectElgatoStreamDeckSocket(inPort, inUUID, inMessageType, inApplicationInfo, inActionInfo) {
@@ -28,30 +37,82 @@ function connectElgatoStreamDeckSocket(inPort, inUUID, inMessageType, inApplicat
       document.getElementById('userEmail').value = settings.userEmail || ''
       document.getElementById('avatarWebhookUrl').value = settings.avatarWebhookUrl || ''
       document.getElementById('messagesWebhookUrl').value = settings.messagesWebhookUrl || ''
+      document.getElementById('acknowledgeWebhookUrl').value = settings.acknowledgeWebhookUrl || ''
+      document.getElementById('replyWebhookUrl').value = settings.replyWebhookUrl || ''
+      document.getElementById('cannedResponses').value = settings.cannedResponses || ''
       document.getElementById('pollingInterval').value = settings.pollingInterval || 30
+      document.getElementById('requestTimeout').value = settings.requestTimeout || 10
+      document.getElementById('requestRetries').value = settings.requestRetries ?? 2
       document.getElementById('disableAnimation').checked = settings.disableAnimation || false
+      document.getElementById('presenceStyle').value = settings.presenceStyle || 'ring'
+      document.getElementById('presenceColors').value = settings.presenceColors || ''
+      document.getElementById('badgeStyle').value = settings.badgeStyle || 'center'
+      document.getElementById('bodyFormat').value = settings.bodyFormat || 'plain'
+      document.getElementById('newMessageHighlight').value = settings.newMessageHighlight || 'flash'
+      document.getElementById('highlightSeconds').value = settings.highlightSeconds || 5
+      document.getElementById('newMessageAlert').value = settings.newMessageAlert || 'none'
+      document.getElementById('pressAction').value = settings.pressAction || 'openMessages'
+      document.getElementById('doublePressAction').value = settings.doublePressAction || 'none'
+      document.getElementById('longPressAction').value = settings.longPressAction || 'none'
+      document.getElementById('snoozeMinutes').value = settings.snoozeMinutes || 30
+      document.getElementById('useGlobalAuth').checked = settings.useGlobalAuth || false
+      loadAuthFields(settings.useGlobalAuth ? (globalSettings.auth || {}) : settings)
+      document.getElementById('useGlobalQuietHours').checked = settings.useGlobalQuietHours || false
+      loadQuietHoursFields(settings.useGlobalQuietHours ? (globalSettings.quietHours || {}) : settings)
     }
 
     // Also request current settings as a fallback
     requestSettings()
+    requestGlobalSettings()
   }
 
   websocket.onmessage = function (event) {
-    console.log(event.data)
-
     const jsonObj = JSON.parse(event.data)
 
+    // Log only the event name, payloads may carry auth secrets
+    console.log(jsonObj.event)
+
     if (jsonObj.event === 'didReceiveSettings') {
       // Only update UI if the settings are for our specific button context
       if (actionInfo && jsonObj.context === actionInfo.context) {
         const settings = jsonObj.payload.settings || {}
+        actionInfo.payload.settings = settings
 
         // Update UI with current settings
         document.getElementById('userEmail').value = settings.userEmail || ''
         document.getElementById('avatarWebhookUrl').value = settings.avatarWebhookUrl || ''
         document.getElementById('messagesWebhookUrl').value = settings.messagesWebhookUrl || ''
+        document.getElementById('acknowledgeWebhookUrl').value = settings.acknowledgeWebhookUrl || ''
+        document.getElementById('replyWebhookUrl').value = settings.replyWebhookUrl || ''
+        document.getElementById('cannedResponses').value = settings.cannedResponses || ''
         document.getElementById('pollingInterval').value = settings.pollingInterval || 30
+        document.getElementById('requestTimeout').value = settings.requestTimeout || 10
+        document.getElementById('requestRetries').value = settings.requestRetries ?? 2
         document.getElementById('disableAnimation').checked = settings.disableAnimation || false
+        document.getElementById('presenceStyle').value = settings.presenceStyle || 'ring'
+        document.getElementById('presenceColors').value = settings.presenceColors || ''
+        document.getElementById('badgeStyle').value = settings.badgeStyle || 'center'
+        document.getElementById('bodyFormat').value = settings.bodyFormat || 'plain'
+        document.getElementById('newMessageHighlight').value = settings.newMessageHighlight || 'flash'
+        document.getElementById('highlightSeconds').value = settings.highlightSeconds || 5
+        document.getElementById('newMessageAlert').value = settings.newMessageAlert || 'none'
+        document.getElementById('pressAction').value = settings.pressAction || 'openMessages'
+        document.getElementById('doublePressAction').value = settings.doublePressAction || 'none'
+        document.getElementById('longPressAction').value = settings.longPressAction || 'none'
+        document.getElementById('snoozeMinutes').value = settings.snoozeMinutes || 30
+        document.getElementById('useGlobalAuth').checked = settings.useGlobalAuth || false
+        loadAuthFields(settings.useGlobalAuth ? (globalSettings.auth || {}) : settings)
+        document.getElementById('useGlobalQuietHours').checked = settings.useGlobalQuietHours || false
+        loadQuietHoursFields(settings.useGlobalQuietHours ? (globalSettings.quietHours || {}) : settings)
+      }
+    } else if (jsonObj.event === 'didReceiveGlobalSettings') {
+      globalSettings = jsonObj.payload.settings || {}
+
+      if (document.getElementById('useGlobalAuth').checked) {
+        loadAuthFields(globalSettings.auth || {})
+      }
+      if (document.getElementById('useGlobalQuietHours').checked) {
+        loadQuietHoursFields(globalSettings.quietHours || {})
       }
     }
   }
@@ -67,6 +128,27 @@ function requestSettings() {
   }
 }
 
+function requestGlobalSettings() {
+  if (websocket) {
+    const json = {
+      event: 'getGlobalSettings',
+      context: uuid
+    }
+    websocket.send(JSON.stringify(json))
+  }
+}
+
+function setGlobalSettings(settings) {
+  if (websocket) {
+    const json = {
+      event: 'setGlobalSettings',
+      context: uuid,
+      payload: settings
+    }
+    websocket.send(JSON.stringify(json))
+  }
+}
+
 function setSettings(settings) {
   if (websocket && actionInfo) {
     const json = {
@@ -94,6 +176,14 @@ document.addEventListener('DOMContentLoaded', function () {
   // Set up event listeners
   document.getElementById('save').addEventListener('click', () => saveSettings())
   document.getElementById('test').addEventListener('click', () => testConnection())
+  document.getElementById('authType').addEventListener('change', () => updateAuthVisibility())
+  document.getElementById('useGlobalAuth').addEventListener('change', (event) => {
+    // Swap the fields over to whichever auth source is now in use
+    loadAuthFields(event.target.checked ? (globalSettings.auth || {}) : (actionInfo?.payload?.settings || {}))
+  })
+  document.getElementById('useGlobalQuietHours').addEventListener('change', (event) => {
+    loadQuietHoursFields(event.target.checked ? (globalSettings.quietHours || {}) : (actionInfo?.payload?.settings || {}))
+  })
   document.getElementById('settings').addEventListener('click', () => {
     window.open('setup.html', 'Teams Avatar Settings')
   })
@@ -106,8 +196,24 @@ function saveSettings() {
   const userEmail = document.getElementById('userEmail').value.trim()
   const avatarWebhookUrl = document.getElementById('avatarWebhookUrl').value.trim()
   const messagesWebhookUrl = document.getElementById('messagesWebhookUrl').value.trim()
+  const acknowledgeWebhookUrl = document.getElementById('acknowledgeWebhookUrl').value.trim()
+  const replyWebhookUrl = document.getElementById('replyWebhookUrl').value.trim()
+  const cannedResponses = document.getElementById('cannedResponses').value.trim()
   const pollingInterval = parseInt(document.getElementById('pollingInterval').value) || 30
   const disableAnimation = document.getElementById('disableAnimation').checked
+  const requestTimeout = parseInt(document.getElementById('requestTimeout').value) || 10
+  const requestRetries = parseInt(document.getElementById('requestRetries').value) || 0
+  const presenceStyle = document.getElementById('presenceStyle').value
+  const presenceColors = document.getElementById('presenceColors').value.trim()
+  const badgeStyle = document.getElementById('badgeStyle').value
+  const bodyFormat = document.getElementById('bodyFormat').value
+  const newMessageHighlight = document.getElementById('newMessageHighlight').value
+  const highlightSeconds = parseInt(document.getElementById('highlightSeconds').value) || 5
+  const newMessageAlert = document.getElementById('newMessageAlert').value
+  const pressAction = document.getElementById('pressAction').value
+  const doublePressAction = document.getElementById('doublePressAction').value
+  const longPressAction = document.getElementById('longPressAction').value
+  const snoozeMinutes = parseInt(document.getElementById('snoozeMinutes').value) || 30
 
   // Basic validation
   if (!userEmail) {
@@ -125,13 +231,74 @@ function saveSettings() {
     return
   }
 
+  if (requestTimeout < 1 || requestTimeout > 60) {
+    showAlert('Request timeout must be between 1 and 60 seconds')
+    return
+  }
+
+  if (requestRetries < 0 || requestRetries > 5) {
+    showAlert('Retries must be between 0 and 5')
+    return
+  }
+
+  if (highlightSeconds < 1 || highlightSeconds > 60) {
+    showAlert('Highlight duration must be between 1 and 60 seconds')
+    return
+  }
+
+  if (snoozeMinutes < 1 || snoozeMinutes > 480) {
+    showAlert('Snooze must be between 1 and 480 minutes')
+    return
+  }
+
+  const quietHours = readQuietHoursFields()
+  const quietHoursError = validateQuietHours(quietHours)
+  if (quietHoursError) {
+    showAlert(quietHoursError)
+    return
+  }
+
+  // Auth and quiet hours either live on this button or are shared by all buttons through global settings
+  const useGlobalAuth = document.getElementById('useGlobalAuth').checked
+  const useGlobalQuietHours = document.getElementById('useGlobalQuietHours').checked
+  const auth = readAuthFields()
+
+  if (useGlobalAuth || useGlobalQuietHours) {
+    globalSettings = {
+      ...globalSettings,
+      ...(useGlobalAuth ? { auth } : {}),
+      ...(useGlobalQuietHours ? { quietHours } : {})
+    }
+    setGlobalSettings(globalSettings)
+  }
+
   // Save instance settings
   const instanceSettings = {
+    ...(useGlobalAuth ? {} : auth),
+    useGlobalAuth,
+    ...(useGlobalQuietHours ? {} : quietHours),
+    useGlobalQuietHours,
     userEmail,
     avatarWebhookUrl,
     messagesWebhookUrl,
+    acknowledgeWebhookUrl,
+    replyWebhookUrl,
+    cannedResponses,
     pollingInterval,
-    disableAnimation
+    disableAnimation,
+    requestTimeout,
+    requestRetries,
+    presenceStyle,
+    presenceColors,
+    badgeStyle,
+    bodyFormat,
+    newMessageHighlight,
+    highlightSeconds,
+    newMessageAlert,
+    pressAction,
+    doublePressAction,
+    longPressAction,
+    snoozeMinutes
   }
   setSettings(instanceSettings)
 
@@ -142,6 +309,7 @@ function testConnection() {
   const userEmail = document.getElementById('userEmail').value.trim()
   const avatarWebhookUrl = document.getElementById('avatarWebhookUrl').value.trim()
   const messagesWebhookUrl = document.getElementById('messagesWebhookUrl').value.trim()
+  const requestTimeout = parseInt(document.getElementById('requestTimeout').value) || 10
 
   if (!userEmail || !avatarWebhookUrl || !messagesWebhookUrl) {
     showAlert('Please fill in all required fields first')
@@ -156,7 +324,9 @@ function testConnection() {
     settings: {
       userEmail,
       avatarWebhookUrl,
-      messagesWebhookUrl
+      messagesWebhookUrl,
+      requestTimeout,
+      ...readAuthFields()
     }
   })
 }
@@ -68,4 +68,19 @@ const setupConfig = {
   ]
 }
 
-module.exports = [mainConfig, piConfig, piRotatingConfig, setupConfig]
+const messagesConfig = {
+  entry: './src/js/messages.js',
+  output: {
+    filename: 'js/messages.js',
+    path: path.resolve(__dirname, destFolder)
+  },
+  plugins: [
+    new CopyPlugin({
+      patterns: [
+        { from: './src/messages.html', to: '' }
+      ]
+    })
+  ]
+}
+
+module.exports = [mainConfig, piConfig, piRotatingConfig, setupConfig, messagesConfig]